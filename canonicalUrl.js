@@ -0,0 +1,127 @@
+/**
+ * URL canonicalization for matching essay links across the many forms they
+ * get submitted in
+ */
+
+// Page extensions that sites serve with or without
+const PAGE_EXTENSION = /\.(html?|php|aspx?)$/i;
+
+/**
+ * Unwrap a link to an archive or mirror service into the URL it points at
+ * @param {URL} url - Parsed URL
+ * @returns {string|null} The wrapped URL, or null if this is not a known wrapper
+ */
+function unwrapMirror(url) {
+  const host = url.hostname.replace(/^www\./, "");
+  const full = url.pathname + url.search;
+
+  // web.archive.org/web/20050101000000/http://paulgraham.com/x.html
+  // (also .../web/2005*/..., .../web/20050101id_/...)
+  if (host === "web.archive.org" || host === "wayback.archive.org") {
+    const match = full.match(/^\/web\/[^/]+\/(.+)$/);
+    return match ? match[1] : null;
+  }
+
+  // archive.today and its many domains: archive.ph/newest/http://..., archive.is/2020.01.01/http://...
+  if (/^archive\.(today|ph|is|li|vn|fo|md)$/.test(host)) {
+    const match = full.match(/(https?:\/\/.+)$/);
+    return match ? match[1] : null;
+  }
+
+  // Google cache and translate proxies carry the target in a query parameter
+  if (host === "webcache.googleusercontent.com") {
+    const match = (url.searchParams.get("q") || "").match(/^cache:(.+)$/);
+    return match ? match[1] : null;
+  }
+  if (host === "translate.google.com") {
+    return url.searchParams.get("u");
+  }
+
+  // Reader proxies: r.jina.ai/https://..., 12ft.io/https://...
+  if (host === "r.jina.ai" || host === "12ft.io") {
+    const match = full.match(/^\/(https?:\/\/.+)$/);
+    return match ? match[1] : null;
+  }
+
+  return null;
+}
+
+/**
+ * Canonicalize a URL so different spellings of the same page compare equal.
+ *
+ * The canonical form has no protocol, no "www.", a lowercase host, no query
+ * string (except parameters listed in keepParams), no fragment, no trailing
+ * slash and no page extension. Links through archive.org and similar mirrors
+ * are unwrapped first. For example all of these become "paulgraham.com/wealth":
+ * - http://paulgraham.com/wealth.html
+ * - https://www.paulgraham.com/wealth.html?utm_source=hn#f1n
+ * - paulgraham.com/wealth
+ * - https://web.archive.org/web/2004/http://www.paulgraham.com/wealth.html
+ *
+ * @param {string} rawUrl - URL as scraped or submitted
+ * @param {Object} options - Canonicalization options
+ * @param {Object} options.aliases - Map of mirror host to canonical host
+ * @param {Array<string>} options.keepParams - Query parameters that select the
+ *   page (e.g. ["p"] for blogs using ?p=123) and must be kept
+ * @returns {string|null} Canonical URL, or null if rawUrl is not a URL
+ */
+export function canonicalizeUrl(rawUrl, options = {}) {
+  if (!rawUrl) return null;
+  const { aliases = {}, keepParams = [] } = options;
+
+  let input = rawUrl.trim();
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(input)) {
+    input = `http://${input}`;
+  }
+
+  let url;
+  try {
+    url = new URL(input);
+  } catch (error) {
+    return null;
+  }
+
+  // Mirrors can be nested (a Google cache of an archive.org copy)
+  for (let depth = 0; depth < 3; depth++) {
+    const unwrapped = unwrapMirror(url);
+    if (!unwrapped) break;
+    try {
+      url = new URL(
+        /^[a-z][a-z0-9+.-]*:\/\//i.test(unwrapped)
+          ? unwrapped
+          : `http://${unwrapped}`
+      );
+    } catch (error) {
+      break;
+    }
+  }
+
+  let host = url.hostname.toLowerCase().replace(/^www\./, "");
+  host = aliases[host] || host;
+
+  const path = url.pathname
+    .replace(/\/+$/, "")
+    .replace(/\/index\.html?$/i, "")
+    .replace(PAGE_EXTENSION, "");
+
+  // Only keep query parameters that identify the page
+  const params = [...url.searchParams.entries()]
+    .filter(([key]) => keepParams.includes(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query =
+    params.length > 0 ? `?${new URLSearchParams(params).toString()}` : "";
+
+  return `${host}${path}${query}`;
+}
+
+/**
+ * Check whether two URLs point at the same page
+ * @param {string} a - First URL
+ * @param {string} b - Second URL
+ * @param {Object} options - Options for canonicalizeUrl
+ * @returns {boolean} True if both canonicalize to the same URL
+ */
+export function isSameUrl(a, b, options = {}) {
+  const canonicalA = canonicalizeUrl(a, options);
+  return canonicalA !== null && canonicalA === canonicalizeUrl(b, options);
+}
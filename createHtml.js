@@ -1,11 +1,15 @@
 import fs from "fs/promises";
+import path from "path";
 import { generateHtmlReport } from "./generateHtml.js";
+import { findLatestReport } from "./incremental.js";
+import { generateMarkdownReport } from "./markdown.js";
 
 /**
  * Create HTML report from existing JSON results
  * @param {string} jsonFilePath - Path to the JSON report file
+ * @param {boolean} markdown - Also write a Markdown report
  */
-async function createHtmlFromJson(jsonFilePath) {
+async function createHtmlFromJson(jsonFilePath, markdown = false) {
   try {
     console.log(`📖 Reading JSON report: ${jsonFilePath}`);
     const jsonData = await fs.readFile(jsonFilePath, "utf-8");
@@ -18,7 +22,14 @@ async function createHtmlFromJson(jsonFilePath) {
     await generateHtmlReport(report, htmlPath);
 
     console.log(`✅ HTML report created: ${htmlPath}`);
-    console.log(`🌐 Open in browser: file://${process.cwd()}/${htmlPath}`);
+    console.log(`🌐 Open in browser: file://${path.resolve(htmlPath)}`);
+
+    if (markdown) {
+      await generateMarkdownReport(
+        report,
+        jsonFilePath.replace(/\.json$/, ".md")
+      );
+    }
 
     return htmlPath;
   } catch (error) {
@@ -27,16 +38,41 @@ async function createHtmlFromJson(jsonFilePath) {
   }
 }
 
+// Directories that never hold reports
+const SKIPPED_DIRS = ["node_modules", "sessions"];
+
+/**
+ * Find JSON reports in a directory and its subdirectories (name templates
+ * can put reports in subdirectories)
+ * @param {string} dir - Directory to search
+ * @returns {Promise<Array<string>>} Report paths
+ */
+async function findJsonReports(dir) {
+  const reports = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!entry.name.startsWith(".") && !SKIPPED_DIRS.includes(entry.name)) {
+        reports.push(...(await findJsonReports(entryPath)));
+      }
+    } else if (
+      entry.name.includes("-hn-report") &&
+      entry.name.endsWith(".json")
+    ) {
+      reports.push(entryPath);
+    }
+  }
+  return reports;
+}
+
 /**
- * List available JSON reports
+ * List available JSON reports, oldest first
+ * @param {string} dir - Output directory to look in (including subdirectories)
+ * @returns {Promise<Array<string>>} Report paths
  */
-async function listJsonReports() {
+async function listJsonReports(dir = ".") {
   try {
-    const files = await fs.readdir(".");
-    const jsonReports = files.filter(
-      (file) =>
-        file.startsWith("pg-essays-hn-report-") && file.endsWith(".json")
-    );
+    const jsonReports = await findJsonReports(dir);
 
     if (jsonReports.length === 0) {
       console.log("No JSON reports found. Run the scraper first:");
@@ -44,9 +80,22 @@ async function listJsonReports() {
       return [];
     }
 
+    const modified = new Map();
+    for (const file of jsonReports) {
+      modified.set(file, (await fs.stat(file)).mtimeMs);
+    }
+    jsonReports.sort((a, b) => modified.get(a) - modified.get(b));
+
+    const latest = await findLatestReport(dir);
     console.log("Available JSON reports:");
     jsonReports.forEach((file, index) => {
-      console.log(`  ${index + 1}. ${file}`);
+      console.log(
+        `  ${index + 1}. ${file}${
+          latest && path.resolve(file) === path.resolve(latest)
+            ? " (latest)"
+            : ""
+        }`
+      );
     });
 
     return jsonReports;
@@ -65,37 +114,48 @@ if (import.meta.url === `file://${process.argv[1]}`) {
 Create HTML Report from JSON Data
 
 Usage:
-  node createHtml.js [jsonFile]
-  node createHtml.js --list
-  node createHtml.js --latest
+  node createHtml.js [jsonFile] [--markdown]
+  node createHtml.js --list [--out-dir <dir>]
+  node createHtml.js --latest [--out-dir <dir>] [--markdown]
 
 Options:
-  jsonFile        Path to JSON report file
-  --list, -l      List available JSON reports
-  --latest        Use the most recent JSON report
-  --help, -h      Show this help
+  jsonFile          Path to JSON report file
+  --list, -l        List available JSON reports
+  --latest          Use the latest JSON report (the one pg-essays-latest.json
+                    points to)
+  --out-dir <dir>   Output directory the scraper wrote to (default: .)
+  --markdown        Also write a Markdown report next to the JSON file
+  --help, -h        Show this help
 
 Examples:
   node createHtml.js pg-essays-hn-report-2024-01-15.json
   node createHtml.js --latest
+  node createHtml.js --latest --out-dir reports
+  node createHtml.js pg-essays-hn-report-2024-01-15.json --markdown
   node createHtml.js --list
     `);
     process.exit(0);
   }
 
+  const dirIndex = args.indexOf("--out-dir");
+  const dir = dirIndex >= 0 && args[dirIndex + 1] ? args[dirIndex + 1] : ".";
+  const markdown = args.includes("--markdown");
+
   if (args.includes("--list") || args.includes("-l")) {
-    listJsonReports();
+    listJsonReports(dir);
   } else if (args.includes("--latest")) {
-    listJsonReports().then((reports) => {
-      if (reports.length === 0) return;
+    findLatestReport(dir).then((latestReport) => {
+      if (!latestReport) {
+        console.log("No JSON reports found. Run the scraper first:");
+        console.log("  npm start");
+        return;
+      }
 
-      // Sort by filename (which includes date) and get the latest
-      const latestReport = reports.sort().pop();
       console.log(`Using latest report: ${latestReport}\n`);
-      createHtmlFromJson(latestReport);
+      createHtmlFromJson(latestReport, markdown);
     });
   } else {
-    const jsonFile = args[0];
-    createHtmlFromJson(jsonFile);
+    const jsonFile = args.find((arg) => !arg.startsWith("-"));
+    createHtmlFromJson(jsonFile, markdown);
   }
 }
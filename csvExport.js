@@ -0,0 +1,280 @@
+import { essayKey } from "./essayKeys.js";
+
+/**
+ * CSV exports of a report: every matched HN post, and one row per essay.
+ * Both are built from the report's detailed_results, so they are complete
+ * whatever the report's own lists are cut to.
+ */
+
+/**
+ * Supported dialects:
+ * - unix: comma separated, LF line endings
+ * - excel: comma separated, CRLF line endings and a UTF-8 byte order mark,
+ *   so Excel picks the right encoding
+ * - rfc4180: comma separated, CRLF line endings
+ * - tsv: tab separated, LF line endings
+ */
+export const CSV_DIALECTS = {
+  unix: { delimiter: ",", lineEnding: "\n", bom: false, extension: "csv" },
+  excel: { delimiter: ",", lineEnding: "\r\n", bom: true, extension: "csv" },
+  rfc4180: { delimiter: ",", lineEnding: "\r\n", bom: false, extension: "csv" },
+  tsv: { delimiter: "\t", lineEnding: "\n", bom: false, extension: "tsv" },
+};
+
+/**
+ * Columns of the posts CSV: [id, header, value of a post row]
+ */
+export const POST_COLUMNS = [
+  ["essay_key", "Essay Key", (post) => post.essay_key],
+  ["essay_title", "Essay Title", (post) => post.essay_title],
+  ["essay_url", "Essay URL", (post) => post.essay_url],
+  ["essay_published", "Essay Published", (post) => post.essay_published_at],
+  ["hn_id", "HN ID", (post) => post.id],
+  ["title", "HN Post Title", (post) => post.title],
+  ["post_url", "Post URL", (post) => post.url],
+  ["points", "HN Points", (post) => post.points],
+  ["comments", "HN Comments", (post) => post.num_comments],
+  ["hn_url", "HN URL", (post) => post.hn_url],
+  ["author", "HN Author", (post) => post.author],
+  ["created_at", "Created At", (post) => post.created_at],
+  ["match_confidence", "Match Confidence", (post) => post.match_confidence],
+  ["match_reason", "Match Reason", (post) => post.match_reason],
+  ["override", "Override", (post) => post.override && post.override.action],
+];
+
+// The columns of the posts CSV before column selection existed
+export const DEFAULT_POST_COLUMNS = [
+  "essay_title",
+  "essay_url",
+  "essay_published",
+  "title",
+  "points",
+  "comments",
+  "hn_url",
+  "author",
+  "created_at",
+  "match_confidence",
+  "match_reason",
+  "override",
+];
+
+/**
+ * Columns of the essays CSV: [id, header, value of an essay result]
+ */
+export const ESSAY_COLUMNS = [
+  ["essay_key", "Essay Key", (result) => essayKey(result.essay)],
+  ["title", "Essay Title", (result) => result.essay.title],
+  ["url", "Essay URL", (result) => result.essay.url],
+  ["published", "Published", (result) => result.essay.published_at],
+  ["word_count", "Word Count", (result) => result.essay.word_count],
+  ["search_status", "Search Status", (result) => result.search_status],
+  ["hn_posts", "HN Posts", (result) => result.total_posts],
+  ["max_points", "Max Points", (result) => result.max_points],
+  [
+    "total_points",
+    "Total Points",
+    (result) => result.hn_posts.reduce((sum, post) => sum + post.points, 0),
+  ],
+  [
+    "total_comments",
+    "Total Comments",
+    (result) =>
+      result.hn_posts.reduce((sum, post) => sum + post.num_comments, 0),
+  ],
+  ["first_hn_post", "First HN Post", (result) => result.first_hn_post_at],
+  [
+    "top_post_title",
+    "Top Post Title",
+    (result) => topPost(result) && topPost(result).title,
+  ],
+  [
+    "top_post_hn_url",
+    "Top Post HN URL",
+    (result) => topPost(result) && topPost(result).hn_url,
+  ],
+  [
+    "other_discussions",
+    "Other Discussions",
+    (result) =>
+      Object.values(result.discussions || {}).reduce(
+        (sum, discussion) => sum + discussion.total_posts,
+        0
+      ),
+  ],
+];
+
+export const DEFAULT_ESSAY_COLUMNS = ESSAY_COLUMNS.map(([id]) => id);
+
+const csvConfig = {
+  dialect: "unix",
+  delimiter: null, // Dialect's delimiter
+  postColumns: DEFAULT_POST_COLUMNS,
+  essayColumns: DEFAULT_ESSAY_COLUMNS,
+};
+
+/**
+ * Highest scoring HN post of an essay
+ * @param {Object} result - Essay result
+ * @returns {Object|null} Post
+ */
+function topPost(result) {
+  return result.hn_posts.reduce(
+    (top, post) => (!top || post.points > top.points ? post : top),
+    null
+  );
+}
+
+/**
+ * Check column IDs against the columns of a CSV
+ * @param {Array<string>} ids - Column IDs
+ * @param {Array} columns - POST_COLUMNS or ESSAY_COLUMNS
+ * @returns {Array<string>} IDs that are not columns
+ */
+export function unknownColumns(ids, columns) {
+  const known = columns.map(([id]) => id);
+  return ids.filter((id) => !known.includes(id));
+}
+
+/**
+ * Configure the CSV exports
+ * @param {Object} options - CSV options
+ * @param {string} options.dialect - One of CSV_DIALECTS
+ * @param {string} options.delimiter - Field delimiter, overriding the dialect's
+ * @param {Array<string>} options.postColumns - Column IDs of the posts CSV
+ * @param {Array<string>} options.essayColumns - Column IDs of the essays CSV
+ */
+export function configureCsvExport(options = {}) {
+  if (options.dialect && !CSV_DIALECTS[options.dialect]) {
+    throw new Error(
+      `Unknown CSV dialect "${options.dialect}". Use one of: ${Object.keys(
+        CSV_DIALECTS
+      ).join(", ")}`
+    );
+  }
+  for (const [key, columns] of [
+    ["postColumns", POST_COLUMNS],
+    ["essayColumns", ESSAY_COLUMNS],
+  ]) {
+    const unknown = unknownColumns(options[key] || [], columns);
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown CSV column "${unknown[0]}". Available columns: ${columns
+          .map(([id]) => id)
+          .join(", ")}`
+      );
+    }
+  }
+
+  for (const key of ["dialect", "delimiter", "postColumns", "essayColumns"]) {
+    if (options[key] !== undefined && options[key] !== null) {
+      csvConfig[key] = options[key];
+    }
+  }
+}
+
+/**
+ * Get the current CSV configuration, with the dialect resolved
+ * @returns {Object} { dialect, delimiter, lineEnding, bom, extension, postColumns, essayColumns }
+ */
+export function getCsvConfig() {
+  const dialect = CSV_DIALECTS[csvConfig.dialect];
+  return {
+    ...dialect,
+    ...csvConfig,
+    delimiter: csvConfig.delimiter || dialect.delimiter,
+  };
+}
+
+/**
+ * Escape a field: fields containing the delimiter, quotes, line breaks or
+ * surrounding whitespace are quoted, with quotes doubled
+ * @param {*} value - Field value (null and undefined become empty)
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Escaped field
+ */
+export function escapeCsvField(value, delimiter = ",") {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  if (
+    text.includes(delimiter) ||
+    /["\r\n]/.test(text) ||
+    text !== text.trim()
+  ) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Render rows as CSV in the configured dialect
+ * @param {Array} columns - Columns to write: [id, header, value]
+ * @param {Array} rows - Rows to pass to the value functions
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+  const { delimiter, lineEnding, bom } = getCsvConfig();
+  const line = (values) =>
+    values.map((value) => escapeCsvField(value, delimiter)).join(delimiter);
+
+  const lines = [
+    line(columns.map(([, header]) => header)),
+    ...rows.map((row) => line(columns.map(([, , value]) => value(row)))),
+  ];
+  return (bom ? "\uFEFF" : "") + lines.map((l) => l + lineEnding).join("");
+}
+
+/**
+ * Pick columns by ID, in the order given
+ * @param {Array} columns - POST_COLUMNS or ESSAY_COLUMNS
+ * @param {Array<string>} ids - Column IDs
+ * @returns {Array} Selected columns
+ */
+function selectColumns(columns, ids) {
+  return ids.map((id) => columns.find(([columnId]) => columnId === id));
+}
+
+/**
+ * Every matched HN post in the results, highest points first
+ * @param {Object} results - Essay results keyed by essay key
+ * @returns {Array<Object>} Posts with essay_key, essay_title, essay_url and
+ *   essay_published_at
+ */
+export function collectPosts(results) {
+  return Object.values(results)
+    .flatMap((result) =>
+      result.hn_posts.map((post) => ({
+        ...post,
+        essay_key: essayKey(result.essay),
+        essay_title: result.essay.title,
+        essay_url: result.essay.url,
+        essay_published_at: result.essay.published_at || null,
+      }))
+    )
+    .sort((a, b) => b.points - a.points);
+}
+
+/**
+ * CSV of every matched HN post in a report
+ * @param {Object} report - Generated report
+ * @returns {string} CSV text
+ */
+export function postsToCsv(report) {
+  return toCsv(
+    selectColumns(POST_COLUMNS, csvConfig.postColumns),
+    collectPosts(report.detailed_results)
+  );
+}
+
+/**
+ * CSV with one row per essay, including essays without posts, most popular
+ * first
+ * @param {Object} report - Generated report
+ * @returns {string} CSV text
+ */
+export function essaysToCsv(report) {
+  const results = Object.values(report.detailed_results).sort(
+    (a, b) =>
+      b.max_points - a.max_points || a.essay.title.localeCompare(b.essay.title)
+  );
+  return toCsv(selectColumns(ESSAY_COLUMNS, csvConfig.essayColumns), results);
+}
@@ -0,0 +1,90 @@
+export const MONTHS = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+const MONTH_YEAR_PATTERN = new RegExp(
+  `\\b(${MONTHS.join("|")})\\s+(\\d{4})\\b`
+);
+
+/**
+ * Parse an essay's publication line ("January 2023") into a date
+ * @param {string} dateLine - Month/year line from the top of the essay
+ * @returns {string|null} Publication month as "YYYY-MM", or null if unparseable
+ */
+export function parsePublicationDate(dateLine) {
+  if (!dateLine) return null;
+
+  const match = dateLine.match(MONTH_YEAR_PATTERN);
+  if (!match) return null;
+
+  const month = String(MONTHS.indexOf(match[1]) + 1).padStart(2, "0");
+  return `${match[2]}-${month}`;
+}
+
+/**
+ * Find the date an essay was first submitted to Hacker News
+ * @param {Array} posts - HN posts for the essay
+ * @returns {string|null} ISO timestamp of the earliest post, or null
+ */
+export function getFirstHnPostDate(posts) {
+  const dates = posts
+    .map((post) => post.created_at)
+    .filter(Boolean)
+    .sort();
+  return dates.length > 0 ? dates[0] : null;
+}
+
+/**
+ * Best available date for an essay result: its publication date, falling
+ * back to the first time it showed up on HN for undated essays
+ * @param {Object} result - Essay result with essay and hn_posts
+ * @returns {string|null} Date string that sorts lexicographically, or null
+ */
+export function getRecencyDate(result) {
+  return (
+    result.essay.published_at ||
+    result.first_hn_post_at ||
+    getFirstHnPostDate(result.hn_posts || [])
+  );
+}
+
+/**
+ * Year an essay belongs to, using getRecencyDate
+ * @param {Object} result - Essay result with essay and hn_posts
+ * @returns {number|null} Four-digit year, or null if the essay has no date
+ */
+export function getEssayYear(result) {
+  const date = getRecencyDate(result);
+  return date ? parseInt(date.slice(0, 4), 10) : null;
+}
+
+/**
+ * Group essay results by year, newest year first
+ * @param {Array} results - Essay results
+ * @returns {Array<Object>} { year, essays } groups; undated essays last with year null
+ */
+export function groupResultsByYear(results) {
+  const groups = new Map();
+  for (const result of results) {
+    const year = getEssayYear(result);
+    if (!groups.has(year)) {
+      groups.set(year, []);
+    }
+    groups.get(year).push(result);
+  }
+
+  return [...groups.entries()]
+    .sort(([a], [b]) => (b ?? -Infinity) - (a ?? -Infinity))
+    .map(([year, essays]) => ({ year, essays }));
+}
@@ -0,0 +1,438 @@
+import { canonicalizeUrl } from "./canonicalUrl.js";
+import { getFirstHnPostDate } from "./dates.js";
+import { essayKey } from "./essayKeys.js";
+import { paulGrahamSource } from "./essaySources.js";
+import { cachedGet, describeError } from "./httpCache.js";
+import {
+  DEFAULT_MIN_CONFIDENCE,
+  partitionByConfidence,
+  scoreHit,
+} from "./matcher.js";
+import {
+  ALGOLIA_BASE_URL,
+  HN_ITEM_API_URL,
+  searchHackerNewsForEssay,
+} from "./searchHackerNews.js";
+
+/**
+ * A discussion source searches one site for submissions of an essay.
+ * Hacker News results are stored on each essay result as `hn_posts`;
+ * every other source's results go under `discussions[name]`.
+ *
+ * @typedef {Object} DiscussionSource
+ * @property {string} name - Short identifier used on the command line
+ * @property {string} label - Human-readable site name for reports
+ * @property {string} baseUrl - API base URL (overridable, e.g. for a local stand-in server)
+ * @property {function(Object, Object): Promise<Object>} searchEssay - Search for an
+ *   essay; resolves to { posts, borderline_posts, search_stats, errors } where
+ *   errors lists failed queries, and rejects if nothing could be searched
+ */
+
+export const HACKER_NEWS = "hn";
+
+export const DEFAULT_DISCUSSION_SOURCES = [HACKER_NEWS];
+
+// Base URL name for the official HN item API, which thread analytics and
+// manual overrides use next to the Algolia API
+export const HN_ITEMS = "hn-items";
+
+const LOBSTERS_BASE_URL = "https://lobste.rs";
+
+// Domain listings are paginated 25 stories at a time
+const LOBSTERS_MAX_PAGES = 20;
+
+const REDDIT_BASE_URL = "https://www.reddit.com";
+
+// Reddit rejects requests without a descriptive User-Agent
+const USER_AGENT = "pg-essay-scraper/1.0";
+
+/**
+ * Score candidate posts against an essay and split them by confidence
+ * @param {Array} candidates - [{ post, text }] where text is the submission's own text, if any
+ * @param {Object} essay - Essay being searched for
+ * @param {Object} options - minConfidence, essaySource and urlOptions
+ * @returns {Object} { posts, borderline_posts }
+ */
+function matchCandidates(candidates, essay, options) {
+  const {
+    minConfidence = DEFAULT_MIN_CONFIDENCE,
+    essaySource = paulGrahamSource,
+    urlOptions = essaySource.urlOptions,
+  } = options;
+
+  const scoredPosts = candidates
+    .map(({ post, text }) => {
+      const match = scoreHit(
+        { ...post, story_text: text },
+        essay,
+        urlOptions,
+        essaySource
+      );
+      return {
+        ...post,
+        canonical_url: canonicalizeUrl(post.url, urlOptions),
+        match_confidence: match.confidence,
+        match_reason: match.reason,
+      };
+    })
+    .filter(
+      (post, index, self) => index === self.findIndex((p) => p.id === post.id)
+    )
+    .sort((a, b) => b.points - a.points);
+
+  return partitionByConfidence(scoredPosts, minConfidence);
+}
+
+/**
+ * Hacker News, through the Algolia search API
+ * @param {string} baseUrl - Algolia API base URL
+ * @returns {DiscussionSource} Source
+ */
+export function createHackerNewsSource(baseUrl = ALGOLIA_BASE_URL) {
+  return {
+    name: HACKER_NEWS,
+    label: "Hacker News",
+    baseUrl,
+
+    searchEssay(essay, options = {}) {
+      return searchHackerNewsForEssay(essay, { ...options, baseUrl });
+    },
+  };
+}
+
+/**
+ * Lobsters. There is no search API, so this reads the JSON listing of every
+ * story submitted from the essay's domain (fetched once per domain) and
+ * matches stories against each essay.
+ * @param {string} baseUrl - Lobsters site URL
+ * @returns {DiscussionSource} Source
+ */
+export function createLobstersSource(baseUrl = LOBSTERS_BASE_URL) {
+  const listings = new Map();
+
+  const fetchDomainStories = async (domain) => {
+    const stories = [];
+    let pages = 0;
+    for (let page = 1; page <= LOBSTERS_MAX_PAGES; page++) {
+      const path =
+        page === 1
+          ? `domains/${domain}.json`
+          : `domains/${domain}/page/${page}.json`;
+      const response = await cachedGet(`${baseUrl}/${path}`);
+      pages++;
+      if (!Array.isArray(response.data) || response.data.length === 0) break;
+      stories.push(...response.data);
+    }
+    return { stories, pages };
+  };
+
+  return {
+    name: "lobsters",
+    label: "Lobsters",
+    baseUrl,
+
+    async searchEssay(essay, options = {}) {
+      const domain =
+        essay.domain || (options.essaySource || paulGrahamSource).domain;
+      const searchStats = { queries: 1, pages: 0, hits_examined: 0 };
+
+      try {
+        // Every essay shares the domain listing; only the first one pays for it
+        if (!listings.has(domain)) {
+          listings.set(domain, fetchDomainStories(domain));
+        }
+        const { stories, pages } = await listings.get(domain);
+        searchStats.pages = pages;
+        searchStats.hits_examined = stories.length;
+
+        const candidates = stories.map((story) => ({
+          post: {
+            id: story.short_id,
+            title: story.title,
+            url: story.url,
+            original_url: story.url || null,
+            discussion_url: story.comments_url || story.short_id_url,
+            points: story.score || 0,
+            num_comments: story.comment_count || 0,
+            created_at: story.created_at,
+            // Older Lobsters versions embed the whole user object
+            author:
+              story.submitter_user && story.submitter_user.username
+                ? story.submitter_user.username
+                : story.submitter_user,
+            tags: story.tags || [],
+          },
+          text: story.description,
+        }));
+
+        return {
+          ...matchCandidates(candidates, essay, options),
+          search_stats: searchStats,
+          errors: [],
+        };
+      } catch (error) {
+        // Let the next essay try fetching the listing again
+        listings.delete(domain);
+        throw error;
+      }
+    },
+  };
+}
+
+/**
+ * Reddit, through the public search.json endpoint
+ * @param {string} baseUrl - Reddit site URL
+ * @returns {DiscussionSource} Source
+ */
+export function createRedditSource(baseUrl = REDDIT_BASE_URL) {
+  return {
+    name: "reddit",
+    label: "Reddit",
+    baseUrl,
+
+    async searchEssay(essay, options = {}) {
+      const searchStats = { queries: 0, pages: 0, hits_examined: 0 };
+      const queries = [
+        `url:${canonicalizeUrl(essay.url, options.urlOptions)}`,
+        `title:"${essay.title}"`,
+      ];
+
+      const candidates = [];
+      const errors = [];
+      for (const query of queries) {
+        try {
+          const response = await cachedGet(`${baseUrl}/search.json`, {
+            params: {
+              q: query,
+              limit: 100,
+              sort: "top",
+              t: "all",
+              type: "link",
+            },
+            headers: { "User-Agent": USER_AGENT },
+          });
+          const children = (response.data.data || {}).children || [];
+
+          searchStats.queries++;
+          searchStats.pages++;
+          searchStats.hits_examined += children.length;
+
+          for (const { data } of children) {
+            candidates.push({
+              post: {
+                id: data.id,
+                title: data.title,
+                url: data.url,
+                original_url: data.url || null,
+                discussion_url: `${baseUrl}${data.permalink}`,
+                points: data.score || 0,
+                num_comments: data.num_comments || 0,
+                created_at: new Date(data.created_utc * 1000).toISOString(),
+                author: data.author,
+                subreddit: data.subreddit,
+              },
+              text: data.selftext,
+            });
+          }
+        } catch (error) {
+          console.warn(
+            `Reddit search failed for query "${query}":`,
+            error.message
+          );
+          errors.push({ query, ...describeError(error) });
+        }
+      }
+
+      if (errors.length === queries.length) {
+        const error = new Error(
+          `All ${queries.length} Reddit queries failed: ${errors[0].message}`
+        );
+        error.errors = errors;
+        throw error;
+      }
+
+      return {
+        ...matchCandidates(candidates, essay, options),
+        search_stats: searchStats,
+        errors,
+      };
+    },
+  };
+}
+
+/**
+ * Built-in discussion sources, selectable by name
+ */
+export const DISCUSSION_SOURCES = {
+  [HACKER_NEWS]: createHackerNewsSource,
+  lobsters: createLobstersSource,
+  reddit: createRedditSource,
+};
+
+/**
+ * Hacker News endpoints to use, with base URLs given for "hn" (Algolia) and
+ * "hn-items" (the official item API) taking the place of the public APIs
+ * @param {Object} baseUrls - Map of source name to base URL
+ * @returns {Object} { baseUrl, itemApiUrl }
+ */
+export function hackerNewsEndpoints(baseUrls = {}) {
+  return {
+    baseUrl: baseUrls[HACKER_NEWS] || ALGOLIA_BASE_URL,
+    itemApiUrl: baseUrls[HN_ITEMS] || HN_ITEM_API_URL,
+  };
+}
+
+/**
+ * Create discussion sources by name
+ * @param {Array<string>} names - Source names (e.g. ["hn", "lobsters"])
+ * @param {Object} baseUrls - Map of source name to base URL, for sources not
+ *   using their public API
+ * @returns {Array<DiscussionSource>} Sources
+ */
+export function createDiscussionSources(
+  names = DEFAULT_DISCUSSION_SOURCES,
+  baseUrls = {}
+) {
+  return names.map((name) => {
+    const create = DISCUSSION_SOURCES[name];
+    if (!create) {
+      throw new Error(
+        `Unknown discussion source "${name}". Available sources: ${Object.keys(
+          DISCUSSION_SOURCES
+        ).join(", ")}`
+      );
+    }
+    return create(baseUrls[name]);
+  });
+}
+
+/**
+ * Search every discussion source for an essay. A source that fails is
+ * recorded rather than thrown, so the essay's status tells "no posts found"
+ * apart from "could not search":
+ * - ok: every query of every source succeeded
+ * - partial: some queries or non-HN sources failed
+ * - failed: Hacker News (or every source) could not be searched
+ * @param {Object} essay - Essay object
+ * @param {Array<DiscussionSource>} sources - Sources to search
+ * @param {Object} options - Search options passed to each source
+ * @returns {Promise<Object>} { posts, borderline_posts, search_stats, discussions,
+ *   search_status, search_errors }: Hacker News posts and details, plus the other
+ *   sources' results keyed by name
+ */
+export async function searchEssayDiscussions(essay, sources, options = {}) {
+  const result = { posts: [] };
+  const errors = [];
+  const failedSources = new Set();
+
+  for (const source of sources) {
+    let found;
+    try {
+      found = await source.searchEssay(essay, options);
+    } catch (error) {
+      console.error(
+        `Error searching ${source.label} for "${essay.title}":`,
+        error.message
+      );
+      failedSources.add(source.name);
+      (error.errors || [describeError(error)]).forEach((details) =>
+        errors.push({ source: source.name, ...details })
+      );
+      continue;
+    }
+
+    const { posts, errors: queryErrors = [], ...details } = found;
+    queryErrors.forEach((details) =>
+      errors.push({ source: source.name, ...details })
+    );
+
+    if (source.name === HACKER_NEWS) {
+      Object.assign(result, { posts, ...details });
+      continue;
+    }
+
+    result.discussions = result.discussions || {};
+    result.discussions[source.name] = {
+      label: source.label,
+      posts,
+      ...details,
+      total_posts: posts.length,
+      max_points:
+        posts.length > 0 ? Math.max(...posts.map((p) => p.points)) : 0,
+      first_post_at: getFirstHnPostDate(posts),
+    };
+  }
+
+  if (failedSources.has(HACKER_NEWS) || failedSources.size === sources.length) {
+    result.search_status = "failed";
+  } else {
+    result.search_status = errors.length > 0 ? "partial" : "ok";
+  }
+  result.search_errors = errors;
+
+  return result;
+}
+
+/**
+ * Per-source totals and a combined ranking of essays across all sources
+ * @param {Array} essayResults - Essay results, with hn_posts and optional discussions
+ * @returns {Object} { sources, combined_ranking }
+ */
+export function summarizeDiscussions(essayResults) {
+  const totals = new Map([
+    [
+      HACKER_NEWS,
+      {
+        name: HACKER_NEWS,
+        label: "Hacker News",
+        essays_found: 0,
+        total_posts: 0,
+        total_points: 0,
+      },
+    ],
+  ]);
+
+  const ranking = essayResults.map((result) => {
+    const bySource = { [HACKER_NEWS]: result.hn_posts };
+    for (const [name, discussion] of Object.entries(result.discussions || {})) {
+      bySource[name] = discussion.posts;
+      if (!totals.has(name)) {
+        totals.set(name, {
+          name,
+          label: discussion.label,
+          essays_found: 0,
+          total_posts: 0,
+          total_points: 0,
+        });
+      }
+    }
+
+    const entry = {
+      essay_key: essayKey(result.essay),
+      essay_title: result.essay.title,
+      essay_url: result.essay.url,
+      total_posts: 0,
+      total_points: 0,
+      by_source: {},
+    };
+    for (const [name, posts] of Object.entries(bySource)) {
+      const points = posts.reduce((sum, post) => sum + post.points, 0);
+      const total = totals.get(name);
+      total.total_posts += posts.length;
+      total.total_points += points;
+      if (posts.length > 0) total.essays_found++;
+
+      entry.by_source[name] = { posts: posts.length, points };
+      entry.total_posts += posts.length;
+      entry.total_points += points;
+    }
+    return entry;
+  });
+
+  return {
+    sources: [...totals.values()],
+    combined_ranking: ranking
+      .filter((entry) => entry.total_posts > 0)
+      .sort((a, b) => b.total_points - a.total_points),
+  };
+}
@@ -0,0 +1,135 @@
+import { canonicalizeUrl } from "./canonicalUrl.js";
+
+/**
+ * Essays are identified by their slug (falling back to the canonical URL),
+ * not their title: titles on the index page get duplicated and edited, while
+ * the URL of an essay stays put. Sessions, results and reports are all keyed
+ * this way. Files written before that were keyed by title and are migrated
+ * when loaded.
+ */
+
+/**
+ * Stable identifier of an essay
+ * @param {Object} essay - Essay object
+ * @returns {string} Slug, or canonical URL for essays without one
+ */
+export function essayKey(essay) {
+  return essay.slug || essay.canonical_url || canonicalizeUrl(essay.url);
+}
+
+/**
+ * Slugs shared by more than one essay
+ * @param {Array} essays - Essay objects
+ * @returns {Set<string>} Shared slugs
+ */
+function sharedSlugs(essays) {
+  const seen = new Set();
+  const shared = new Set();
+  for (const essay of essays) {
+    if (!essay.slug) continue;
+    if (seen.has(essay.slug)) shared.add(essay.slug);
+    seen.add(essay.slug);
+  }
+  return shared;
+}
+
+/**
+ * Give essays that share a slug distinct ones, in place. Slugs come from the
+ * last path segment, so e.g. .../a/index.html and .../b/index.html would both
+ * be "index" and overwrite each other's results. Those essays are keyed by
+ * the path of their canonical URL instead ("a/index", "b/index"), or by the
+ * whole canonical URL when even the paths are the same.
+ * @param {Array} essays - Essays with distinct canonical URLs
+ * @returns {Set<string>} The slugs that were shared
+ */
+export function qualifyDuplicateSlugs(essays) {
+  const shared = sharedSlugs(essays);
+  const qualified = essays.filter((essay) => shared.has(essay.slug));
+  for (const essay of qualified) {
+    const path = essay.canonical_url.replace(/^[^/]*\/?/, "");
+    essay.slug = path || essay.canonical_url;
+  }
+
+  const stillShared = sharedSlugs(essays);
+  for (const essay of essays) {
+    if (stillShared.has(essay.slug)) {
+      essay.slug = essay.canonical_url;
+    }
+  }
+  return shared;
+}
+
+/**
+ * Re-key results by essay key. Results that are keyed that way already are
+ * left as they are, so this is safe to run on any results.
+ * @param {Object} results - Essay results keyed by title or key
+ * @returns {Object} { results, migrated } where migrated counts re-keyed results
+ */
+export function migrateResults(results) {
+  const migrated = {};
+  let count = 0;
+  for (const [key, result] of Object.entries(results)) {
+    const newKey = essayKey(result.essay);
+    if (newKey !== key) count++;
+    migrated[newKey] = result;
+  }
+  return { results: migrated, migrated: count };
+}
+
+/**
+ * Migrate a title-keyed ProgressTracker state in place. With duplicate
+ * titles only one of the essays had a result; the others count as
+ * unprocessed and get searched again.
+ * @param {Object} state - Session state
+ * @returns {boolean} True if the state needed migrating
+ */
+export function migrateSessionState(state) {
+  if (state.keyedBy === "slug") return false;
+
+  const { results } = migrateResults(state.results || {});
+  const processedTitles = new Set(state.processedEssays || []);
+  state.results = results;
+  state.processedEssays = (state.essays || [])
+    .filter(
+      (essay) => processedTitles.has(essay.title) && results[essayKey(essay)]
+    )
+    .map(essayKey);
+  state.currentIndex = state.processedEssays.length;
+  state.keyedBy = "slug";
+  return true;
+}
+
+/**
+ * Qualify the shared slugs of a session's essays in place (see
+ * qualifyDuplicateSlugs). Only the last essay searched under a shared slug
+ * kept its result; it moves to that essay's new key, and the other essays
+ * count as unprocessed and get searched again.
+ * @param {Object} state - Session state
+ * @returns {boolean} True if any slugs were shared
+ */
+export function qualifySessionSlugs(state) {
+  const shared = qualifyDuplicateSlugs(state.essays || []);
+  if (shared.size === 0) return false;
+
+  const byUrl = new Map(
+    state.essays.map((essay) => [essay.canonical_url, essay])
+  );
+  const processed = new Set(state.processedEssays);
+  for (const slug of shared) {
+    const result = state.results[slug];
+    delete state.results[slug];
+    processed.delete(slug);
+
+    const essay = result && byUrl.get(result.essay.canonical_url);
+    if (essay) {
+      result.essay = { ...result.essay, slug: essay.slug };
+      state.results[essay.slug] = result;
+      processed.add(essay.slug);
+    }
+  }
+  state.processedEssays = state.essays
+    .map(essayKey)
+    .filter((key) => processed.has(key));
+  state.currentIndex = state.processedEssays.length;
+  return true;
+}
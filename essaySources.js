@@ -0,0 +1,190 @@
+import fs from "fs/promises";
+
+/**
+ * An essay source adapter describes where a site lists its essays and how to
+ * turn the links on that index page into essay objects.
+ *
+ * @typedef {Object} EssaySource
+ * @property {string} name - Short identifier used on the command line
+ * @property {string} label - Human-readable author or site name for reports
+ * @property {string} indexUrl - Page that links to every essay
+ * @property {string} linkSelector - Selector for candidate essay links on the index page
+ * @property {string} domain - Domain essays are hosted on, used for HN matching
+ * @property {string|null} hnUsername - The author's HN account, for thread analytics
+ * @property {Array<string>} authorNames - Names submitters put around essay titles
+ *   ("Paul Graham: Wealth"), stripped when matching HN posts
+ * @property {string} contentSelector - Selector for the essay body on essay pages (deep mode)
+ * @property {Object} urlOptions - canonicalizeUrl options (mirror host aliases, query
+ *   parameters that select a page) used when matching links to essays
+ * @property {function(string, string): boolean} isEssayLink - Decide whether a link (href, text) is an essay
+ * @property {function(string): string} resolveUrl - Turn an href from the index page into an absolute URL
+ * @property {function(string): string} deriveSlug - Derive a short, stable identifier from an essay URL
+ */
+
+/**
+ * Slug from the last path segment of a URL, without its file extension
+ * @param {string} url - Absolute essay URL
+ * @returns {string} Slug
+ */
+function lastPathSegment(url) {
+  const { pathname } = new URL(url);
+  const segments = pathname.split("/").filter(Boolean);
+  const last = segments.length > 0 ? segments[segments.length - 1] : "";
+  let decoded;
+  try {
+    decoded = decodeURIComponent(last);
+  } catch (error) {
+    // A stray % is not an escape; keep the segment as it is
+    decoded = last;
+  }
+  return decoded.replace(/\.[a-z0-9]+$/i, "");
+}
+
+/**
+ * Default adapter: Paul Graham's articles page
+ * @type {EssaySource}
+ */
+export const paulGrahamSource = {
+  name: "paulgraham",
+  label: "Paul Graham",
+  indexUrl: "https://www.paulgraham.com/articles.html",
+  linkSelector: "a",
+  domain: "paulgraham.com",
+  hnUsername: "pg",
+  authorNames: ["Paul Graham", "pg"],
+  contentSelector: "font[face='verdana'], font[face='Verdana']",
+  urlOptions: { aliases: {}, keepParams: [] },
+
+  isEssayLink(href, text) {
+    // Filter for essay links (exclude images, index, etc.)
+    return Boolean(
+      href &&
+        href.endsWith(".html") &&
+        href !== "index.html" &&
+        text &&
+        text.length > 3 &&
+        !href.includes("http") && // exclude external links
+        !text.match(/^\d+$/) && // exclude numbers
+        !text.includes("gif") &&
+        !text.includes("Essays")
+    );
+  },
+
+  resolveUrl(href) {
+    return `https://www.paulgraham.com/${href}`;
+  },
+
+  deriveSlug(url) {
+    return lastPathSegment(url);
+  },
+};
+
+/**
+ * Built-in adapters, selectable by name
+ */
+export const ESSAY_SOURCES = {
+  [paulGrahamSource.name]: paulGrahamSource,
+};
+
+/**
+ * Create an adapter from a JSON definition.
+ *
+ * Required fields: name, indexUrl, domain. Optional fields:
+ * - label: display name (defaults to name)
+ * - hnUsername: the author's HN account
+ * - authorNames: names submitters put around essay titles (default: label and
+ *   hnUsername)
+ * - linkSelector: selector for essay links (default "a")
+ * - contentSelector: selector for the essay body (default "article, main, body")
+ * - include: regex an href must match to count as an essay
+ * - exclude: regex that rules an href out
+ * - minTitleLength: shortest link text accepted (default 4)
+ * - slugPattern: regex whose first capture group, applied to the essay URL, is the slug
+ * - aliases: map of mirror hosts to the essay domain, e.g. { "mirror.example": "example.com" }
+ * - keepQueryParams: query parameters that select a page (e.g. ["p"]), kept in canonical URLs
+ *
+ * @param {Object} definition - Parsed JSON adapter definition
+ * @returns {EssaySource} Adapter
+ */
+export function createSourceFromDefinition(definition) {
+  for (const field of ["name", "indexUrl", "domain"]) {
+    if (!definition[field]) {
+      throw new Error(`Essay source definition is missing "${field}"`);
+    }
+  }
+
+  const include = definition.include ? new RegExp(definition.include) : null;
+  const exclude = definition.exclude ? new RegExp(definition.exclude) : null;
+  const slugPattern = definition.slugPattern
+    ? new RegExp(definition.slugPattern)
+    : null;
+  const minTitleLength = definition.minTitleLength ?? 4;
+
+  return {
+    name: definition.name,
+    label: definition.label || definition.name,
+    indexUrl: definition.indexUrl,
+    linkSelector: definition.linkSelector || "a",
+    domain: definition.domain,
+    hnUsername: definition.hnUsername || null,
+    authorNames: definition.authorNames || [
+      definition.label || definition.name,
+      ...(definition.hnUsername ? [definition.hnUsername] : []),
+    ],
+    contentSelector: definition.contentSelector || "article, main, body",
+    urlOptions: {
+      aliases: definition.aliases || {},
+      keepParams: definition.keepQueryParams || [],
+    },
+
+    isEssayLink(href, text) {
+      if (!href || !text || text.length < minTitleLength) return false;
+      if (href.startsWith("#") || href.startsWith("mailto:")) return false;
+      if (include && !include.test(href)) return false;
+      if (exclude && exclude.test(href)) return false;
+
+      // Only links that stay on the essay domain
+      let url;
+      try {
+        url = new URL(href, definition.indexUrl);
+      } catch (error) {
+        return false; // Malformed link
+      }
+      return url.hostname.replace(/^www\./, "") === definition.domain;
+    },
+
+    resolveUrl(href) {
+      return new URL(href, definition.indexUrl).toString();
+    },
+
+    deriveSlug(url) {
+      if (slugPattern) {
+        const match = url.match(slugPattern);
+        if (match && match[1]) return match[1];
+      }
+      return lastPathSegment(url);
+    },
+  };
+}
+
+/**
+ * Resolve an adapter from a built-in name or a path to a JSON definition
+ * @param {string} spec - Adapter name (e.g. "paulgraham") or path to a .json file
+ * @returns {Promise<EssaySource>} Adapter
+ */
+export async function loadEssaySource(spec = paulGrahamSource.name) {
+  if (ESSAY_SOURCES[spec]) {
+    return ESSAY_SOURCES[spec];
+  }
+
+  if (!spec.endsWith(".json")) {
+    throw new Error(
+      `Unknown essay source "${spec}". Built-in sources: ${Object.keys(
+        ESSAY_SOURCES
+      ).join(", ")}, or pass a path to a JSON definition`
+    );
+  }
+
+  const definition = JSON.parse(await fs.readFile(spec, "utf-8"));
+  return createSourceFromDefinition(definition);
+}
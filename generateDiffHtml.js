@@ -0,0 +1,299 @@
+import fs from "fs/promises";
+import { BASE_STYLES } from "./htmlStyles.js";
+import { formatDelta } from "./reportDiff.js";
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        c
+      ])
+  );
+}
+
+/**
+ * Link, or plain text without a URL
+ * @param {string} text - Link text
+ * @param {string} url - Link target
+ * @returns {string} Markup
+ */
+function link(text, url) {
+  return url
+    ? `<a href="${escapeHtml(url)}" target="_blank">${escapeHtml(text)}</a>`
+    : escapeHtml(text);
+}
+
+/**
+ * Change with its sign, colored by direction
+ * @param {number} delta - Change
+ * @returns {string} Markup
+ */
+function deltaCell(delta) {
+  const direction = delta > 0 ? "up" : delta < 0 ? "down" : "same";
+  return `<span class="${direction}">${formatDelta(delta)}</span>`;
+}
+
+/**
+ * One section of the page: a heading and a table, left out when empty
+ * @param {string} title - Section heading
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cell markup
+ * @param {boolean} counted - Show the number of rows in the heading
+ * @returns {string} Markup
+ */
+function section(title, headers, rows, counted = true) {
+  if (rows.length === 0) return "";
+  return `
+        <div class="section">
+            <h2>${title}${counted ? ` (${rows.length})` : ""}</h2>
+            <table>
+                <thead>
+                    <tr>${headers.map((h) => `<th>${h}</th>`).join("")}</tr>
+                </thead>
+                <tbody>${rows
+                  .map(
+                    (cells) => `
+                    <tr>${cells.map((c) => `<td>${c}</td>`).join("")}</tr>`
+                  )
+                  .join("")}
+                </tbody>
+            </table>
+        </div>`;
+}
+
+/**
+ * Generate an HTML page showing what changed between two reports, in the
+ * look of the interactive report
+ * @param {Object} diff - Output of diffReports
+ * @param {string} outputPath - Path to save the HTML file
+ */
+export async function generateDiffHtmlReport(diff, outputPath) {
+  const label = escapeHtml(diff.source.label);
+  const describeReport = (info) =>
+    `${escapeHtml(info.generated_at)}${info.partial ? " (partial)" : ""}`;
+  const stats = diff.statistics;
+  const changed = [
+    diff.new_essays,
+    diff.removed_essays,
+    diff.new_posts,
+    diff.removed_posts,
+    diff.post_changes,
+    diff.rank_changes,
+  ].some((entries) => entries.length > 0);
+  const postCells = (post) => [
+    link(post.title, post.hn_url),
+    `<span class="points">${post.points}</span>`,
+    post.num_comments,
+    escapeHtml(post.essay_title),
+  ];
+  const essayCells = (essay) => [
+    link(essay.title, essay.url),
+    essay.total_posts,
+    essay.max_points,
+  ];
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${label} Essays - Report Changes</title>
+    <style>${BASE_STYLES}
+
+        .warnings {
+            background: #fff3cd;
+            border-left: 3px solid #dc3545;
+            border-radius: 5px;
+            padding: 1rem 1.5rem;
+            margin: 2rem 0;
+            font-size: 0.9rem;
+        }
+
+        .warnings ul {
+            margin-left: 1rem;
+        }
+
+        .section {
+            background: white;
+            margin: 2rem 0;
+            border-radius: 10px;
+            padding: 1.5rem;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            overflow-x: auto;
+        }
+
+        .section h2 {
+            font-size: 1.3rem;
+            font-weight: 600;
+            color: #2c3e50;
+            margin-bottom: 1rem;
+        }
+
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 0.9rem;
+        }
+
+        th {
+            text-align: left;
+            color: #555;
+            font-weight: 500;
+            border-bottom: 2px solid #e1e5e9;
+            padding: 0.5rem;
+        }
+
+        td {
+            border-bottom: 1px solid #e1e5e9;
+            padding: 0.5rem;
+            vertical-align: top;
+        }
+
+        a {
+            color: #2c3e50;
+        }
+
+        a:hover {
+            color: #667eea;
+        }
+
+        .points {
+            color: #ff6600;
+            font-weight: bold;
+        }
+
+        .up {
+            color: #28a745;
+            font-weight: bold;
+        }
+
+        .down {
+            color: #dc3545;
+            font-weight: bold;
+        }
+
+        .same {
+            color: #999;
+        }
+
+        .no-changes {
+            color: #999;
+            font-style: italic;
+            text-align: center;
+            padding: 2rem;
+        }
+
+        @media (max-width: 768px) {
+            .stats {
+                grid-template-columns: repeat(2, 1fr);
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h1>${label} Essays</h1>
+        <p>Changes from ${describeReport(diff.old_report)} to ${describeReport(
+    diff.new_report
+  )}</p>
+    </div>
+
+    <div class="container">
+        <div class="stats">
+            <div class="stat-item">
+                <span class="stat-number">${diff.new_essays.length}</span>
+                <span class="stat-label">New Essays</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-number">${diff.new_posts.length}</span>
+                <span class="stat-label">New HN Posts</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-number">${formatDelta(
+                  stats.total_points.delta
+                )}</span>
+                <span class="stat-label">Total Points</span>
+            </div>
+            <div class="stat-item">
+                <span class="stat-number">${diff.rank_changes.length}</span>
+                <span class="stat-label">Rank Changes</span>
+            </div>
+        </div>
+${
+  diff.warnings.length > 0
+    ? `
+        <div class="warnings">
+            <ul>${diff.warnings
+              .map((warning) => `<li>${escapeHtml(warning)}</li>`)
+              .join("")}</ul>
+        </div>`
+    : ""
+}${section(
+    "Statistics",
+    ["", "Old", "New", "Change"],
+    [
+      ["Total essays", stats.total_essays],
+      ["Essays found on HN", stats.essays_found_on_hn],
+      ["HN posts", stats.total_hn_posts],
+      ["Total points", stats.total_points],
+    ].map(([name, stat]) => [name, stat.old, stat.new, deltaCell(stat.delta)]),
+    false
+  )}${section(
+    "New Essays",
+    ["Essay", "HN Posts", "Max Points"],
+    diff.new_essays.map(essayCells)
+  )}${section(
+    "Removed Essays",
+    ["Essay", "HN Posts", "Max Points"],
+    diff.removed_essays.map(essayCells)
+  )}${section(
+    "New HN Posts",
+    ["Post", "Points", "Comments", "Essay"],
+    diff.new_posts.map(postCells)
+  )}${section(
+    "HN Posts No Longer Matched",
+    ["Post", "Points", "Comments", "Essay"],
+    diff.removed_posts.map(postCells)
+  )}${section(
+    "Point and Comment Changes",
+    ["Post", "Points", "Change", "Comments", "Change", "Essay"],
+    diff.post_changes.map((post) => [
+      link(post.title, post.hn_url),
+      `<span class="points">${post.points}</span>`,
+      deltaCell(post.points_delta),
+      post.num_comments,
+      deltaCell(post.comments_delta),
+      escapeHtml(post.essay_title),
+    ])
+  )}${section(
+    "Rank Changes in Essays by Popularity",
+    ["Essay", "Old Rank", "New Rank", "Change"],
+    diff.rank_changes.map((change) => [
+      link(change.title, change.url),
+      change.old_rank ? `#${change.old_rank}` : "-",
+      change.new_rank ? `#${change.new_rank}` : "-",
+      change.rank_delta === null
+        ? change.old_rank
+          ? "dropped out"
+          : "new in ranking"
+        : deltaCell(change.rank_delta),
+    ])
+  )}${
+    changed
+      ? ""
+      : `
+        <div class="no-changes">No essays, posts or rankings changed.</div>`
+  }
+    </div>
+</body>
+</html>`;
+
+  await fs.writeFile(outputPath, html);
+  console.log(`📄 Generated report diff page: ${outputPath}`);
+}
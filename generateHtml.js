@@ -1,4 +1,80 @@
 import fs from "fs/promises";
+import { BASE_STYLES } from "./htmlStyles.js";
+
+/**
+ * Drop the essay body text from results before embedding them in the page.
+ * Deep-mode reports carry the full text of every essay, which the HTML
+ * report never displays.
+ * @param {Array} results - Essay results to embed
+ * @returns {Array} Results without essay.body_text
+ */
+function withoutBodyText(results) {
+  return results.map((result) => {
+    const { body_text, ...essay } = result.essay;
+    return { ...result, essay };
+  });
+}
+
+/**
+ * Build <option> tags for the year range selectors
+ * @param {Object} report - Generated report from the scraper
+ * @returns {string} Option tags, newest year first
+ */
+function yearOptions(report) {
+  const years = (report.essays_by_year || [])
+    .map((group) => group.year)
+    .filter((year) => year !== null);
+  return years
+    .map((year) => `<option value="${year}">${year}</option>`)
+    .join("");
+}
+
+/**
+ * Discussion sources other than Hacker News that the report has totals for
+ * @param {Object} report - Generated report from the scraper
+ * @returns {Array} Source totals from report.discussions
+ */
+function otherDiscussionSources(report) {
+  return report.discussions
+    ? report.discussions.sources.filter((source) => source.name !== "hn")
+    : [];
+}
+
+/**
+ * Build stat boxes for the other discussion sources and failed searches
+ * @param {Object} report - Generated report from the scraper
+ * @returns {string} Stat item markup
+ */
+function extraStats(report) {
+  const failed = report.statistics.failed_searches
+    ? `
+            <div class="stat-item">
+                <span class="stat-number">${report.statistics.failed_searches}</span>
+                <span class="stat-label">Failed Searches</span>
+            </div>`
+    : "";
+  return (
+    otherDiscussionSources(report)
+      .map(
+        (source) => `
+            <div class="stat-item">
+                <span class="stat-number">${source.total_posts}</span>
+                <span class="stat-label">${source.label} Posts</span>
+            </div>`
+      )
+      .join("") + failed
+  );
+}
+
+/**
+ * Label suffix for the recency sorts of reports without publication dates,
+ * which only deep mode collects. Those sort by each essay's first HN post.
+ * @param {Object} report - Generated report from the scraper
+ * @returns {string} Suffix, empty when some essays are dated
+ */
+function recencyNote(report) {
+  return report.statistics.dated_essays ? "" : " (first HN post)";
+}
 
 /**
  * Generate an interactive HTML report from scraper results
@@ -6,80 +82,16 @@ import fs from "fs/promises";
  * @param {string} outputPath - Path to save the HTML file
  */
 export async function generateHtmlReport(report, outputPath) {
+  // Reports from before source adapters existed are all Paul Graham essays
+  const label = report.source ? report.source.label : "Paul Graham";
+
   const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Paul Graham Essays - Hacker News Rankings</title>
-    <style>
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            background: #f8f9fa;
-        }
-
-        .header {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 2rem 0;
-            text-align: center;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-        }
-
-        .header h1 {
-            font-size: 2.5rem;
-            margin-bottom: 0.5rem;
-            font-weight: 300;
-        }
-
-        .header p {
-            font-size: 1.1rem;
-            opacity: 0.9;
-        }
-
-        .stats {
-            background: white;
-            margin: 2rem auto;
-            max-width: 1200px;
-            border-radius: 10px;
-            padding: 2rem;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 2rem;
-        }
-
-        .stat-item {
-            text-align: center;
-        }
-
-        .stat-number {
-            font-size: 2.5rem;
-            font-weight: bold;
-            color: #667eea;
-            display: block;
-        }
-
-        .stat-label {
-            color: #666;
-            font-size: 0.9rem;
-            text-transform: uppercase;
-            letter-spacing: 1px;
-        }
-
-        .container {
-            max-width: 1200px;
-            margin: 0 auto;
-            padding: 0 1rem;
-        }
+    <title>${label} Essays - Hacker News Rankings</title>
+    <style>${BASE_STYLES}
 
         .filters {
             background: white;
@@ -158,6 +170,19 @@ export async function generateHtmlReport(report, outputPath) {
             line-height: 1.4;
         }
 
+        .essay-date {
+            margin: -0.75rem 0 1rem;
+            font-size: 0.85rem;
+            color: #888;
+        }
+
+        .essay-renamed {
+            margin: -0.75rem 0 1rem;
+            font-size: 0.85rem;
+            color: #888;
+            font-style: italic;
+        }
+
         .essay-stats {
             display: flex;
             justify-content: space-between;
@@ -196,6 +221,69 @@ export async function generateHtmlReport(report, outputPath) {
             justify-content: space-between;
         }
 
+        .hn-post.borderline {
+            border-left-color: #adb5bd;
+            opacity: 0.85;
+        }
+
+        .match-info {
+            font-size: 0.75rem;
+            color: #888;
+            margin-top: 0.3rem;
+        }
+
+        .search-errors {
+            background: #fff3cd;
+            border-left: 3px solid #dc3545;
+            padding: 0.5rem 1rem;
+            margin: 1rem 0;
+            font-size: 0.85rem;
+        }
+
+        .search-errors ul {
+            margin-left: 1rem;
+        }
+
+        .override-badge {
+            display: inline-block;
+            background: #6f42c1;
+            color: white;
+            border-radius: 10px;
+            padding: 0 0.5rem;
+            font-size: 0.75rem;
+        }
+
+        .hn-post.excluded {
+            border-left-color: #dc3545;
+            opacity: 0.7;
+        }
+
+        .sparkline {
+            display: inline-flex;
+            align-items: center;
+            gap: 0.3rem;
+            color: #ff6600;
+            font-size: 0.75rem;
+        }
+
+        .thread-info {
+            font-size: 0.8rem;
+            color: #555;
+            margin-top: 0.4rem;
+            padding-top: 0.4rem;
+            border-top: 1px dashed #e1e5e9;
+        }
+
+        .author-badge {
+            display: inline-block;
+            background: #ff6600;
+            color: white;
+            border-radius: 10px;
+            padding: 0 0.5rem;
+            margin-left: 0.3rem;
+            font-size: 0.75rem;
+        }
+
         .points {
             color: #ff6600;
             font-weight: bold;
@@ -294,7 +382,7 @@ export async function generateHtmlReport(report, outputPath) {
 </head>
 <body>
     <div class="header">
-        <h1>Paul Graham Essays</h1>
+        <h1>${label} Essays</h1>
         <p>Ranked by Hacker News Popularity</p>
     </div>
 
@@ -321,7 +409,7 @@ export async function generateHtmlReport(report, outputPath) {
             <div class="stat-item">
                 <span class="stat-number">${report.statistics.total_points.toLocaleString()}</span>
                 <span class="stat-label">Total Points</span>
-            </div>
+            </div>${extraStats(report)}
         </div>
 
         <div class="filters">
@@ -331,7 +419,29 @@ export async function generateHtmlReport(report, outputPath) {
                     <option value="popularity">HN Popularity</option>
                     <option value="posts">Number of Posts</option>
                     <option value="title">Title (A-Z)</option>
-                    <option value="recent">Most Recent</option>
+                    <option value="recent">Most Recent${recencyNote(
+                      report
+                    )}</option>
+                    <option value="oldest">Oldest First${recencyNote(
+                      report
+                    )}</option>
+                    ${
+                      otherDiscussionSources(report).length > 0
+                        ? `<option value="combined">All Discussions</option>`
+                        : ""
+                    }
+                </select>
+            </div>
+            <div class="filter-group">
+                <label for="yearFrom">Years:</label>
+                <select id="yearFrom">
+                    <option value="">Any</option>
+                    ${yearOptions(report)}
+                </select>
+                <label for="yearTo">to</label>
+                <select id="yearTo">
+                    <option value="">Any</option>
+                    ${yearOptions(report)}
                 </select>
             </div>
             <div class="filter-group">
@@ -340,6 +450,8 @@ export async function generateHtmlReport(report, outputPath) {
                     <option value="all">All Essays</option>
                     <option value="withPosts">Only with HN Posts</option>
                     <option value="noPosts">Only without HN Posts</option>
+                    <option value="borderline">Only with Borderline Matches</option>
+                    <option value="failed">Only Failed Searches</option>
                 </select>
             </div>
             <div class="filter-group">
@@ -364,25 +476,31 @@ export async function generateHtmlReport(report, outputPath) {
     <script>
         // Data from the scraper
         const essaysData = ${JSON.stringify(
-          report.essays_by_popularity,
+          withoutBodyText(report.essays_by_popularity),
           null,
           2
         )};
         const allEssaysData = ${JSON.stringify(
-          Object.values(report.detailed_results),
+          withoutBodyText(Object.values(report.detailed_results)),
           null,
           2
         )};
         
+        const pointsHistory = ${JSON.stringify(report.points_history || {})};
+
         let currentData = [...allEssaysData];
         let sortBy = 'popularity';
         let filterPosts = 'all';
         let searchTerm = '';
+        let yearFrom = null;
+        let yearTo = null;
 
         // DOM elements
         const essayGrid = document.getElementById('essayGrid');
         const sortSelect = document.getElementById('sortBy');
         const filterSelect = document.getElementById('filterPosts');
+        const yearFromSelect = document.getElementById('yearFrom');
+        const yearToSelect = document.getElementById('yearTo');
         const searchInput = document.getElementById('searchTitle');
         const modal = document.getElementById('essayModal');
         const modalContent = document.getElementById('modalContent');
@@ -399,6 +517,16 @@ export async function generateHtmlReport(report, outputPath) {
             updateDisplay();
         });
 
+        yearFromSelect.addEventListener('change', (e) => {
+            yearFrom = e.target.value ? parseInt(e.target.value, 10) : null;
+            updateDisplay();
+        });
+
+        yearToSelect.addEventListener('change', (e) => {
+            yearTo = e.target.value ? parseInt(e.target.value, 10) : null;
+            updateDisplay();
+        });
+
         searchInput.addEventListener('input', (e) => {
             searchTerm = e.target.value.toLowerCase();
             updateDisplay();
@@ -415,6 +543,80 @@ export async function generateHtmlReport(report, outputPath) {
         });
 
         // Functions
+        // Publication date, falling back to the first HN post for undated essays
+        function getRecencyDate(essayData) {
+            return essayData.essay.published_at || essayData.first_hn_post_at || null;
+        }
+
+        function getEssayYear(essayData) {
+            const date = getRecencyDate(essayData);
+            return date ? parseInt(date.slice(0, 4), 10) : null;
+        }
+
+        function compareByDate(a, b, direction) {
+            const dateA = getRecencyDate(a);
+            const dateB = getRecencyDate(b);
+            // Undated essays always sort last
+            if (!dateA && !dateB) return 0;
+            if (!dateA) return 1;
+            if (!dateB) return -1;
+            return direction * (dateA < dateB ? -1 : dateA > dateB ? 1 : 0);
+        }
+
+        // Points across Hacker News and every other discussion source
+        function combinedPoints(essayData) {
+            const discussions = Object.values(essayData.discussions || {});
+            return [essayData.hn_posts, ...discussions.map(d => d.posts)]
+                .reduce((sum, posts) => sum + posts.reduce((s, post) => s + post.points, 0), 0);
+        }
+
+        function renderRename(essay) {
+            return essay.previous_title
+                ? \`<div class="essay-renamed">Renamed from "\${essay.previous_title}"</div>\`
+                : '';
+        }
+
+        function renderDiscussionCounts(essayData) {
+            const found = Object.values(essayData.discussions || {}).filter(d => d.total_posts > 0);
+            if (found.length === 0) return '';
+            return \`<div class="essay-stats">\${found.map(d =>
+                \`<span>🗨️ \${d.label}: \${d.total_posts} posts, \${d.max_points} max points</span>\`
+            ).join('')}</div>\`;
+        }
+
+        function renderDiscussions(essayData) {
+            return Object.values(essayData.discussions || {})
+                .filter(d => d.posts.length > 0)
+                .map(d => \`
+                    <h3 style="margin-top: 1.5rem;">\${d.label} Posts:</h3>
+                    <div style="max-height: 300px; overflow-y: auto;">
+                        \${d.posts.map(post => \`
+                            <div class="hn-post" style="margin-bottom: 1rem;">
+                                <div class="hn-post-title">
+                                    <a href="\${post.discussion_url}" target="_blank" style="text-decoration: none; color: inherit;">
+                                        \${post.title}
+                                    </a>
+                                </div>
+                                <div class="hn-post-meta">
+                                    <span class="points">\${post.points} points</span>
+                                    <span>\${post.num_comments} comments</span>
+                                    <span>by \${post.author}\${post.subreddit ? \` in r/\${post.subreddit}\` : ''}</span>
+                                </div>
+                                \${renderMatchInfo(post)}
+                            </div>
+                        \`).join('')}
+                    </div>
+                \`).join('');
+        }
+
+        function formatDate(essayData) {
+            if (essayData.essay.date_line) return essayData.essay.date_line;
+            if (essayData.first_hn_post_at) {
+                return 'First on HN ' + essayData.first_hn_post_at.slice(0, 10);
+            }
+            return '';
+        }
+
         function sortData(data, sortBy) {
             return [...data].sort((a, b) => {
                 switch(sortBy) {
@@ -425,8 +627,11 @@ export async function generateHtmlReport(report, outputPath) {
                     case 'title':
                         return a.essay.title.localeCompare(b.essay.title);
                     case 'recent':
-                        // Assuming more recent essays have higher array index
-                        return allEssaysData.indexOf(b) - allEssaysData.indexOf(a);
+                        return compareByDate(a, b, -1);
+                    case 'oldest':
+                        return compareByDate(a, b, 1);
+                    case 'combined':
+                        return combinedPoints(b) - combinedPoints(a);
                     default:
                         return 0;
                 }
@@ -440,16 +645,31 @@ export async function generateHtmlReport(report, outputPath) {
                 if (filterPosts === 'withPosts') {
                     passesPostFilter = essay.total_posts > 0;
                 } else if (filterPosts === 'noPosts') {
-                    passesPostFilter = essay.total_posts === 0;
+                    passesPostFilter = essay.total_posts === 0 && essay.search_status !== 'failed';
+                } else if (filterPosts === 'failed') {
+                    passesPostFilter = essay.search_status === 'failed' || essay.search_status === 'partial';
+                } else if (filterPosts === 'borderline') {
+                    passesPostFilter = (essay.borderline_posts || []).length > 0;
                 }
 
                 // Filter by search term
                 let passesSearch = true;
                 if (searchTerm) {
-                    passesSearch = essay.essay.title.toLowerCase().includes(searchTerm);
+                    // Renamed essays are found by their old title too
+                    passesSearch = [essay.essay.title, essay.essay.previous_title]
+                        .some(title => title && title.toLowerCase().includes(searchTerm));
                 }
 
-                return passesPostFilter && passesSearch;
+                // Filter by year range
+                let passesYear = true;
+                if (yearFrom !== null || yearTo !== null) {
+                    const year = getEssayYear(essay);
+                    passesYear = year !== null &&
+                        (yearFrom === null || year >= yearFrom) &&
+                        (yearTo === null || year <= yearTo);
+                }
+
+                return passesPostFilter && passesSearch && passesYear;
             });
         }
 
@@ -479,10 +699,13 @@ export async function generateHtmlReport(report, outputPath) {
                 card.innerHTML = \`
                     <div class="essay-rank">#\${rank}</div>
                     <div class="essay-title">\${essay.title}</div>
+                    \${renderRename(essay)}
+                    \${formatDate(essayData) ? \`<div class="essay-date">\${formatDate(essayData)}</div>\` : ''}
                     <div class="essay-stats">
                         <span>📊 \${essayData.max_points} max points</span>
                         <span>💬 \${essayData.total_posts} HN posts</span>
                     </div>
+                    \${renderDiscussionCounts(essayData)}
                     \${essayData.total_posts > 0 ? \`
                         <div class="hn-posts">
                             <h4>Top HN Posts:</h4>
@@ -491,6 +714,7 @@ export async function generateHtmlReport(report, outputPath) {
                                     <div class="hn-post-title">\${post.title}</div>
                                     <div class="hn-post-meta">
                                         <span class="points">\${post.points} points</span>
+                                        \${sparkline(post)}
                                         <span>\${post.num_comments} comments</span>
                                     </div>
                                 </div>
@@ -503,7 +727,7 @@ export async function generateHtmlReport(report, outputPath) {
                         </div>
                     \` : \`
                         <div class="no-posts" style="margin-top: 1rem; padding: 1rem;">
-                            Not found on Hacker News
+                            \${essayData.search_status === 'failed' ? '⚠️ Search failed, retry with --retry-failed' : 'Not found on Hacker News'}
                         </div>
                     \`}
                 \`;
@@ -512,11 +736,74 @@ export async function generateHtmlReport(report, outputPath) {
             });
         }
 
+        function renderSearchErrors(essayData) {
+            if (!essayData.search_errors || essayData.search_errors.length === 0) return '';
+            return \`
+                <div class="search-errors">
+                    <strong>\${essayData.search_status === 'failed' ? 'Search failed' : 'Search partly failed'}:</strong>
+                    <ul>
+                        \${essayData.search_errors.map(error => \`
+                            <li>\${error.source ? error.source + ': ' : ''}\${error.query ? \`"\${error.query}": \` : ''}\${error.message}\${error.code ? \` (\${error.code})\` : ''}</li>
+                        \`).join('')}
+                    </ul>
+                </div>
+            \`;
+        }
+
+        function renderMatchInfo(post) {
+            if (post.match_confidence === undefined) return '';
+            return \`<div class="match-info">Match confidence \${post.match_confidence.toFixed(2)} · \${post.match_reason}</div>\`;
+        }
+
+        function renderOverride(post) {
+            if (!post.override) return '';
+            const labels = {
+                include: 'Manually included',
+                exclude: 'Manually excluded',
+                reassign: post.override.from ? \`Reassigned from "\${post.override.from}"\` : 'Manually reassigned'
+            };
+            return \`<div class="match-info"><span class="override-badge">✋ \${labels[post.override.action]}</span>\${post.override.note ? \` \${post.override.note}\` : ''}</div>\`;
+        }
+
+        // Inline SVG of a post's points across runs
+        function sparkline(post) {
+            const series = pointsHistory[post.id];
+            if (!series || series.length < 2) return '';
+
+            const values = series.map(sample => sample[1]);
+            const min = Math.min(...values);
+            const range = Math.max(...values) - min || 1;
+            const width = 80;
+            const height = 18;
+            const points = values.map((value, i) =>
+                \`\${(i / (values.length - 1) * width).toFixed(1)},\${(height - 2 - (value - min) / range * (height - 4)).toFixed(1)}\`
+            ).join(' ');
+            const delta = values[values.length - 1] - values[0];
+
+            return \`<span class="sparkline" title="Points over \${values.length} runs: \${values.join(' → ')}">
+                <svg width="\${width}" height="\${height}"><polyline points="\${points}" fill="none" stroke="#ff6600" stroke-width="1.5"/></svg>
+                \${delta !== 0 ? \`<span>\${delta > 0 ? '+' : ''}\${delta}</span>\` : ''}
+            </span>\`;
+        }
+
+        function renderThread(post) {
+            if (!post.thread) return '';
+            const thread = post.thread;
+            return \`
+                <div class="thread-info">
+                    🧵 \${thread.total_comments} comments, \${thread.top_level_comments} top-level, depth \${thread.max_depth}, \${thread.unique_commenters} commenters
+                    \${thread.author_commented ? \`<span class="author-badge">\${thread.author_username} commented (\${thread.author_comment_count})</span>\` : ''}
+                    \${thread.top_commenters.length > 0 ? \`<div>Top commenters: \${thread.top_commenters.map(c => \`\${c.author} (\${c.comments})\`).join(', ')}</div>\` : ''}
+                </div>
+            \`;
+        }
+
         function showEssayDetails(essayData) {
             const essay = essayData.essay;
             
             modalContent.innerHTML = \`
                 <h2>\${essay.title}</h2>
+                \${renderRename(essay)}
                 
                 <div class="modal-links">
                     <a href="\${essay.url}" target="_blank" class="btn">Read Essay</a>
@@ -533,14 +820,45 @@ export async function generateHtmlReport(report, outputPath) {
                         <li>Maximum points: \${essayData.max_points}</li>
                         <li>Total HN posts: \${essayData.total_posts}</li>
                         <li>Total comments: \${essayData.hn_posts.reduce((sum, post) => sum + post.num_comments, 0)}</li>
+                        \${essay.date_line ? \`<li>Published: \${essay.date_line}</li>\` : ''}
+                        \${essayData.search_stats ? \`<li>Search: \${essayData.search_stats.pages} result pages, \${essayData.search_stats.hits_examined} hits examined\${essayData.search_stats.date_slices > 0 ? \`, \${essayData.search_stats.date_slices} date windows\` : ''}\${essayData.search_stats.truncated_queries > 0 ? \` (\${essayData.search_stats.truncated_queries} queries hit the page cap)\` : ''}</li>\` : ''}
+                        \${essayData.first_hn_post_at ? \`<li>First seen on HN: \${essayData.first_hn_post_at.slice(0, 10)}</li>\` : ''}
+                        \${essay.word_count ? \`<li>Word count: \${essay.word_count.toLocaleString()}</li>\` : ''}
+                        \${essay.footnotes && essay.footnotes.length > 0 ? \`<li>Footnotes: \${essay.footnotes.length}</li>\` : ''}
                     </ul>
                 </div>
 
+                \${renderSearchErrors(essayData)}
+
                 \${essayData.hn_posts.length > 0 ? \`
                     <h3>All Hacker News Posts:</h3>
                     <div style="max-height: 400px; overflow-y: auto;">
                         \${essayData.hn_posts.map((post, index) => \`
                             <div class="hn-post" style="margin-bottom: 1rem;">
+                                <div class="hn-post-title">
+                                    <a href="\${post.hn_url}" target="_blank" style="text-decoration: none; color: inherit;">
+                                        \${post.title}
+                                    </a>
+                                </div>
+                                <div class="hn-post-meta">
+                                    <span class="points">\${post.points} points</span>
+                                    \${sparkline(post)}
+                                    <span>\${post.num_comments} comments</span>
+                                    <span>by \${post.author}</span>
+                                </div>
+                                \${renderMatchInfo(post)}
+                                \${renderOverride(post)}
+                                \${renderThread(post)}
+                            </div>
+                        \`).join('')}
+                    </div>
+                \` : essayData.search_status === 'failed' ? '' : '<p style="color: #666; font-style: italic;">This essay has not been posted on Hacker News.</p>'}
+
+                \${essayData.borderline_posts && essayData.borderline_posts.length > 0 ? \`
+                    <h3 style="margin-top: 1.5rem;">Borderline Matches (not counted):</h3>
+                    <div style="max-height: 300px; overflow-y: auto;">
+                        \${essayData.borderline_posts.map(post => \`
+                            <div class="hn-post borderline" style="margin-bottom: 1rem;">
                                 <div class="hn-post-title">
                                     <a href="\${post.hn_url}" target="_blank" style="text-decoration: none; color: inherit;">
                                         \${post.title}
@@ -551,10 +869,32 @@ export async function generateHtmlReport(report, outputPath) {
                                     <span>\${post.num_comments} comments</span>
                                     <span>by \${post.author}</span>
                                 </div>
+                                \${renderMatchInfo(post)}
                             </div>
                         \`).join('')}
                     </div>
-                \` : '<p style="color: #666; font-style: italic;">This essay has not been posted on Hacker News.</p>'}
+                \` : ''}
+
+                \${renderDiscussions(essayData)}
+
+                \${essayData.excluded_posts && essayData.excluded_posts.length > 0 ? \`
+                    <h3 style="margin-top: 1.5rem;">Manually Excluded:</h3>
+                    \${essayData.excluded_posts.map(post => \`
+                        <div class="hn-post excluded" style="margin-bottom: 1rem;">
+                            <div class="hn-post-title">
+                                <a href="\${post.hn_url}" target="_blank" style="text-decoration: none; color: inherit;">
+                                    \${post.title}
+                                </a>
+                            </div>
+                            <div class="hn-post-meta">
+                                <span class="points">\${post.points} points</span>
+                                <span>\${post.num_comments} comments</span>
+                                <span>by \${post.author}</span>
+                            </div>
+                            \${renderOverride(post)}
+                        </div>
+                    \`).join('')}
+                \` : ''}
             \`;
             
             modal.style.display = 'block';
@@ -0,0 +1,382 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Persistent points/comments history for HN posts across runs, keyed by HN
+ * item ID. Every run appends one sample per post it saw.
+ */
+
+export const HISTORY_FILE = "pg-essays-history.json";
+
+const HISTORY_VERSION = 1;
+
+const SPARK_CHARS = "▁▂▃▄▅▆▇█";
+
+/**
+ * Load the history store, or an empty one if it doesn't exist yet
+ * @param {string} historyPath - Path to the history file
+ * @returns {Promise<Object>} History store
+ */
+export async function loadHistory(historyPath = HISTORY_FILE) {
+  try {
+    const history = JSON.parse(await fs.readFile(historyPath, "utf-8"));
+    if (history.version !== HISTORY_VERSION) {
+      throw new Error(`Unsupported history version ${history.version}`);
+    }
+    return history;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    return { version: HISTORY_VERSION, runs: [], items: {} };
+  }
+}
+
+/**
+ * Save the history store
+ * @param {Object} history - History store
+ * @param {string} historyPath - Path to the history file
+ */
+export async function saveHistory(history, historyPath = HISTORY_FILE) {
+  await fs.mkdir(path.dirname(historyPath), { recursive: true });
+  await fs.writeFile(historyPath, JSON.stringify(history));
+}
+
+/**
+ * Append a sample for every post seen in a run. Recording a run again (a
+ * finished session resumed) replaces its samples instead of adding more.
+ * @param {Object} history - History store (modified in place)
+ * @param {Array} posts - HN posts with id, points, num_comments and essay_title
+ * @param {string} at - ISO timestamp of the run
+ * @param {string|null} runId - Session ID of the run
+ * @returns {Object} The history store
+ */
+export function recordRun(
+  history,
+  posts,
+  at = new Date().toISOString(),
+  runId = null
+) {
+  const previous = runId
+    ? history.runs.find((run) => run.run_id === runId)
+    : null;
+  if (previous) {
+    at = previous.at;
+    previous.posts = new Set(posts.map((post) => post.id)).size;
+    for (const [id, item] of Object.entries(history.items)) {
+      item.samples = item.samples.filter((s) => s.at !== at);
+      if (item.samples.length === 0) delete history.items[id];
+    }
+  } else {
+    history.runs.push({
+      at,
+      run_id: runId,
+      posts: new Set(posts.map((post) => post.id)).size,
+    });
+  }
+
+  for (const post of posts) {
+    if (!history.items[post.id]) {
+      history.items[post.id] = {
+        title: post.title,
+        essay_title: post.essay_title,
+        hn_url: post.hn_url,
+        created_at: post.created_at,
+        samples: [],
+      };
+    }
+
+    const item = history.items[post.id];
+    item.title = post.title;
+    item.essay_title = post.essay_title;
+    // A post matched to two essays is still one sample
+    if (item.samples.some((s) => s.at === at)) continue;
+    item.samples.push({
+      at,
+      points: post.points,
+      num_comments: post.num_comments,
+    });
+    if (previous) {
+      // Later runs may have added samples since
+      item.samples.sort((a, b) => a.at.localeCompare(b.at));
+    }
+  }
+
+  return history;
+}
+
+/**
+ * Points series per post, for embedding sparklines in a report
+ * @param {Object} history - History store
+ * @param {Array<string>} ids - HN item IDs to include
+ * @returns {Object} Map of item ID to [[timestamp, points, num_comments], ...]
+ */
+export function getSeries(history, ids) {
+  const series = {};
+  for (const id of ids) {
+    const item = history.items[id];
+    if (item && item.samples.length > 0) {
+      series[id] = item.samples.map((s) => [s.at, s.points, s.num_comments]);
+    }
+  }
+  return series;
+}
+
+/**
+ * Compare the posts of the latest run with their previous samples. Runs can
+ * sample different posts (an incremental run only records the essays it
+ * searched), so each post is compared with its own previous sample rather
+ * than with the previous run.
+ * @param {Object} history - History store
+ * @returns {Object} { previousRun, latestRun, changes, newPosts } where changes
+ *   are posts sampled before with their points and comment deltas since (and
+ *   the time of that sample)
+ */
+export function getDeltasSinceLastRun(history) {
+  const [previousRun, latestRun] = history.runs.slice(-2).map((r) => r.at);
+  if (!latestRun) {
+    return { previousRun: null, latestRun: null, changes: [], newPosts: [] };
+  }
+
+  const changes = [];
+  const newPosts = [];
+
+  for (const [id, item] of Object.entries(history.items)) {
+    const index = item.samples.findIndex((s) => s.at === latestRun);
+    if (index === -1) continue;
+
+    const latest = item.samples[index];
+    if (index === 0) {
+      newPosts.push({ id, ...item, points: latest.points });
+    } else {
+      const previous = item.samples[index - 1];
+      changes.push({
+        id,
+        title: item.title,
+        essay_title: item.essay_title,
+        hn_url: item.hn_url,
+        points: latest.points,
+        points_delta: latest.points - previous.points,
+        comments_delta: latest.num_comments - previous.num_comments,
+        since: previous.at,
+      });
+    }
+  }
+
+  changes.sort((a, b) => b.points_delta - a.points_delta);
+  newPosts.sort((a, b) => b.points - a.points);
+
+  return { previousRun, latestRun, changes, newPosts };
+}
+
+/**
+ * Posts gaining points fastest over the last few runs
+ * @param {Object} history - History store
+ * @param {number} window - Number of most recent samples to look at
+ * @returns {Array} Posts sorted by points gained per day
+ */
+export function getTrending(history, window = 3) {
+  const trending = [];
+
+  for (const [id, item] of Object.entries(history.items)) {
+    const samples = item.samples.slice(-window);
+    if (samples.length < 2) continue;
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const days = (Date.parse(last.at) - Date.parse(first.at)) / 86400000;
+    const gained = last.points - first.points;
+    if (gained <= 0 || days <= 0) continue;
+
+    trending.push({
+      id,
+      title: item.title,
+      essay_title: item.essay_title,
+      hn_url: item.hn_url,
+      points: last.points,
+      points_gained: gained,
+      points_per_day: gained / days,
+    });
+  }
+
+  return trending.sort((a, b) => b.points_per_day - a.points_per_day);
+}
+
+/**
+ * Render a series of numbers as a text sparkline
+ * @param {Array<number>} values - Values to plot
+ * @returns {string} Sparkline such as "▁▂▅█"
+ */
+export function textSparkline(values) {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+  return values
+    .map(
+      (v) =>
+        SPARK_CHARS[Math.round(((v - min) / range) * (SPARK_CHARS.length - 1))]
+    )
+    .join("");
+}
+
+/**
+ * Print the history summary: deltas since the last run, trending posts and
+ * growth curves of the top posts
+ * @param {Object} options - Command options
+ * @param {string} options.historyPath - Path to the history file
+ * @param {number} options.top - Number of posts per section
+ * @param {string} options.item - Only show the growth curve of this HN item
+ */
+async function showHistory(options) {
+  const history = await loadHistory(options.historyPath);
+
+  if (history.runs.length === 0) {
+    console.log("No history recorded yet. Run the scraper first:");
+    console.log("  npm start");
+    return;
+  }
+
+  if (options.item) {
+    const item = history.items[options.item];
+    if (!item) {
+      console.log(`No history for HN item ${options.item}`);
+      return;
+    }
+    console.log(`📈 ${item.title}`);
+    console.log(`   Essay: ${item.essay_title}`);
+    console.log(`   ${item.hn_url}\n`);
+    item.samples.forEach((s) => {
+      console.log(
+        `   ${s.at.slice(0, 16).replace("T", " ")}  ${String(s.points).padStart(
+          5
+        )} pts  ${String(s.num_comments).padStart(5)} comments`
+      );
+    });
+    console.log(`\n   ${textSparkline(item.samples.map((s) => s.points))}`);
+    return;
+  }
+
+  console.log(
+    `History: ${history.runs.length} runs, ${
+      Object.keys(history.items).length
+    } posts tracked`
+  );
+  console.log(
+    `First run: ${history.runs[0].at}, latest run: ${
+      history.runs[history.runs.length - 1].at
+    }\n`
+  );
+
+  const { previousRun, latestRun, changes, newPosts } =
+    getDeltasSinceLastRun(history);
+
+  if (previousRun) {
+    const latest = history.runs[history.runs.length - 1];
+    console.log(
+      `📊 Changes in the latest run (${latestRun}, ${latest.posts} posts sampled), against each post's previous sample:`
+    );
+    const moved = changes.filter(
+      (c) => c.points_delta !== 0 || c.comments_delta !== 0
+    );
+    if (moved.length === 0) {
+      console.log("   No changes");
+    }
+    moved.slice(0, options.top).forEach((c) => {
+      console.log(
+        `   ${c.points_delta >= 0 ? "+" : ""}${c.points_delta} pts, ${
+          c.comments_delta >= 0 ? "+" : ""
+        }${c.comments_delta} comments - ${c.title} (${c.points} pts, since ${
+          c.since
+        })`
+      );
+    });
+    console.log();
+  }
+
+  if (newPosts.length > 0 && previousRun) {
+    console.log(`🆕 New posts in the latest run:`);
+    newPosts.slice(0, options.top).forEach((p) => {
+      console.log(`   ${p.points} pts - ${p.title}`);
+      console.log(`      Essay: ${p.essay_title}`);
+      console.log(`      ${p.hn_url}`);
+    });
+    console.log();
+  }
+
+  const trending = getTrending(history);
+  if (trending.length > 0) {
+    console.log(`🔥 Trending (points per day over the last runs):`);
+    trending.slice(0, options.top).forEach((t) => {
+      console.log(
+        `   ${t.points_per_day.toFixed(1)}/day, +${t.points_gained} pts - ${
+          t.title
+        }`
+      );
+    });
+    console.log();
+  }
+
+  console.log(`📈 Growth of the top posts:`);
+  Object.entries(history.items)
+    .map(([id, item]) => ({
+      id,
+      item,
+      points: item.samples[item.samples.length - 1].points,
+    }))
+    .sort((a, b) => b.points - a.points)
+    .slice(0, options.top)
+    .forEach(({ id, item, points }) => {
+      console.log(
+        `   ${textSparkline(item.samples.map((s) => s.points)).padEnd(
+          12
+        )} ${points} pts - ${item.title} (${id})`
+      );
+    });
+
+  console.log(`\nShow one post: node history.js --item <hnItemId>`);
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const options = { historyPath: HISTORY_FILE, top: 10, item: null };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === "--file" || arg === "-f") {
+      options.historyPath = args[++i];
+    } else if (arg === "--out-dir" || arg === "-o") {
+      options.historyPath = path.join(args[++i], HISTORY_FILE);
+    } else if (arg === "--top" || arg === "-n") {
+      options.top = parseInt(args[++i], 10);
+    } else if (arg === "--item" || arg === "-i") {
+      options.item = args[++i];
+    } else if (arg === "--help" || arg === "-h") {
+      console.log(`
+Points and Comments History
+
+Usage:
+  node history.js [options]
+
+Options:
+  --file, -f <path>     History file (default: ${HISTORY_FILE})
+  --out-dir, -o <dir>   Output directory the scraper was run with (default: .)
+  --top, -n <number>    Posts to show per section (default: 10)
+  --item, -i <id>       Show the full history of one HN item
+  --help, -h            Show this help
+
+Examples:
+  node history.js
+  node history.js --top 20
+  node history.js --out-dir reports
+  node history.js --item 36500000
+      `);
+      process.exit(0);
+    }
+  }
+
+  showHistory(options).catch((error) => {
+    console.error("❌ Error reading history:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,164 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { scheduledGet } from "./requestScheduler.js";
+
+/**
+ * Supported cache modes:
+ * - off: always hit the network, never touch the cache
+ * - record: always hit the network and save every response
+ * - replay: only serve saved responses, fail on anything not cached
+ * - ttl: serve saved responses younger than the TTL, refresh older ones
+ */
+export const CACHE_MODES = ["off", "record", "replay", "ttl"];
+
+const cacheConfig = {
+  mode: "off",
+  dir: ".http-cache",
+  ttl: 24 * 60 * 60 * 1000, // 24 hours
+};
+
+/**
+ * Configure the HTTP cache used by cachedGet
+ * @param {Object} options - Cache options
+ * @param {string} options.mode - One of CACHE_MODES
+ * @param {string} options.dir - Directory holding cached responses
+ * @param {number} options.ttl - Maximum age of cached responses in ms (ttl mode)
+ */
+export function configureHttpCache(options = {}) {
+  if (options.mode !== undefined && !CACHE_MODES.includes(options.mode)) {
+    throw new Error(
+      `Unknown cache mode "${options.mode}". Use one of: ${CACHE_MODES.join(
+        ", "
+      )}`
+    );
+  }
+
+  for (const key of ["mode", "dir", "ttl"]) {
+    if (options[key] !== undefined && options[key] !== null) {
+      cacheConfig[key] = options[key];
+    }
+  }
+}
+
+/**
+ * Get the current cache configuration
+ * @returns {Object} Copy of the cache configuration
+ */
+export function getHttpCacheConfig() {
+  return { ...cacheConfig };
+}
+
+/**
+ * Build a stable cache key from a URL and its query parameters
+ * @param {string} url - Request URL
+ * @param {Object} params - Query parameters
+ * @returns {string} Hex digest identifying the request
+ */
+function cacheKey(url, params = {}) {
+  const sortedParams = Object.keys(params)
+    .sort()
+    .map((key) => [key, params[key]]);
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify([url, sortedParams]))
+    .digest("hex");
+}
+
+/**
+ * Path of the file holding a cached response
+ * @param {string} key - Cache key
+ * @returns {string} File path
+ */
+function entryPath(key) {
+  return path.join(cacheConfig.dir, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Read a cached response from disk
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} Cached entry or null if not cached
+ */
+async function readEntry(key) {
+  try {
+    return JSON.parse(await fs.readFile(entryPath(key), "utf-8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write a response to the cache
+ * @param {string} key - Cache key
+ * @param {Object} entry - Entry to save
+ */
+async function writeEntry(key, entry) {
+  const file = entryPath(key);
+  try {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(entry));
+  } catch (error) {
+    console.warn(`⚠️ Failed to write HTTP cache entry:`, error.message);
+  }
+}
+
+/**
+ * GET a URL through the disk-backed cache.
+ *
+ * Returns an axios-like response. Responses served from disk have
+ * `cached: true`; only network requests go through the request scheduler.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} config - axios request config (only params is part of the cache key)
+ * @returns {Promise<Object>} Response with data, status and cached
+ */
+export async function cachedGet(url, config = {}) {
+  const { mode, ttl } = cacheConfig;
+
+  if (mode === "off") {
+    const response = await scheduledGet(url, config);
+    return { data: response.data, status: response.status, cached: false };
+  }
+
+  const key = cacheKey(url, config.params);
+
+  if (mode === "replay" || mode === "ttl") {
+    const entry = await readEntry(key);
+    const fresh =
+      entry &&
+      (mode === "replay" || Date.now() - Date.parse(entry.fetched_at) < ttl);
+
+    if (fresh) {
+      return { data: entry.data, status: entry.status, cached: true };
+    }
+
+    if (mode === "replay") {
+      const error = new Error(`No cached response for ${url} (replay mode)`);
+      error.code = "CACHE_MISS";
+      throw error;
+    }
+  }
+
+  const response = await scheduledGet(url, config);
+  await writeEntry(key, {
+    url,
+    params: config.params || {},
+    status: response.status,
+    fetched_at: new Date().toISOString(),
+    data: response.data,
+  });
+
+  return { data: response.data, status: response.status, cached: false };
+}
+
+/**
+ * Summarize a request error for storing with results
+ * @param {Error} error - Error thrown by cachedGet
+ * @returns {Object} { message, code } where code is the HTTP status or error code
+ */
+export function describeError(error) {
+  return {
+    message: error.message,
+    code: (error.response && error.response.status) || error.code || null,
+  };
+}
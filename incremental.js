@@ -0,0 +1,157 @@
+import fs from "fs/promises";
+import { canonicalizeUrl } from "./canonicalUrl.js";
+import { essayKey, migrateResults } from "./essayKeys.js";
+import { getOutputConfig, readLatestPointer } from "./outputFiles.js";
+import { undoOverrides } from "./overrides.js";
+
+/**
+ * Load essay results from a previous run. Accepts a JSON report
+ * (pg-essays-hn-report-*.json), a progress file or a results file.
+ * @param {string} filePath - Path to the previous report or results file
+ * @returns {Promise<Object>} Results keyed the same way as ProgressTracker
+ *   results (files keyed by title, from older versions, are migrated).
+ *   Manual overrides in a report are undone, so the run applies the current
+ *   overrides file to raw search results.
+ */
+export async function loadPreviousResults(filePath) {
+  const data = JSON.parse(await fs.readFile(filePath, "utf-8"));
+
+  let results;
+  if (data.detailed_results) {
+    results = data.detailed_results; // JSON report
+  } else if (data.results && data.essays) {
+    results = data.results; // progress-*.json
+  } else {
+    results = data; // results-*.json
+  }
+  return undoOverrides(migrateResults(results).results);
+}
+
+/**
+ * Find the latest JSON report in a directory: the one its latest-report
+ * pointer names, or for directories written before pointers existed, the
+ * most recently written pg-essays-hn-report-*.json
+ * @param {string} dir - Directory to look in (default: the output directory)
+ * @returns {Promise<string|null>} Path of the latest report, or null if there is none
+ */
+export async function findLatestReport(dir = getOutputConfig().dir) {
+  const pointer = await readLatestPointer(dir);
+  if (pointer && pointer.files.json) {
+    try {
+      await fs.access(pointer.files.json);
+      return pointer.files.json;
+    } catch (error) {
+      console.warn(
+        `⚠️ The latest report ${pointer.files.json} is missing, looking for another`
+      );
+    }
+  }
+
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+  const reports = files.filter(
+    (file) => file.startsWith("pg-essays-hn-report-") && file.endsWith(".json")
+  );
+
+  let latest = null;
+  let latestTime = -Infinity;
+  for (const file of reports) {
+    const { mtimeMs } = await fs.stat(`${dir}/${file}`);
+    if (mtimeMs > latestTime) {
+      latest = `${dir}/${file}`;
+      latestTime = mtimeMs;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Canonical URL of an essay, for essays scraped before canonical URLs existed
+ * @param {Object} essay - Essay object
+ * @returns {string} Canonical URL
+ */
+function essayUrl(essay) {
+  return essay.canonical_url || canonicalizeUrl(essay.url);
+}
+
+/**
+ * Work out which essays need searching in an incremental run
+ * @param {Array} essays - Essays currently on the index page
+ * @param {Object} previousResults - Results from the previous run
+ * @param {number} maxAgeDays - Re-search essays whose results are older than this
+ * @returns {Object} Plan with carried-over results and the essays to search.
+ *   Essays whose title changed are listed in renamedEssays as
+ *   { essay, previous_title }, and are not counted as new.
+ */
+export function planIncrementalRun(essays, previousResults, maxAgeDays) {
+  const previousByKey = new Map(
+    Object.values(previousResults).map((result) => [
+      essayKey(result.essay),
+      result,
+    ])
+  );
+  // Slugs derived by older versions may differ, so fall back to the URL
+  const previousByUrl = new Map(
+    Object.values(previousResults).map((result) => [
+      essayUrl(result.essay),
+      result,
+    ])
+  );
+  const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+  const carried = {};
+  const matched = new Set();
+  const newEssays = [];
+  const staleEssays = [];
+  const failedEssays = [];
+  const renamedEssays = [];
+
+  for (const essay of essays) {
+    const previous =
+      previousByKey.get(essayKey(essay)) || previousByUrl.get(essayUrl(essay));
+
+    if (!previous) {
+      newEssays.push(essay);
+      continue;
+    }
+
+    matched.add(previous);
+    if (previous.essay.title !== essay.title) {
+      renamedEssays.push({ essay, previous_title: previous.essay.title });
+    }
+
+    if (
+      previous.search_status === "failed" ||
+      previous.search_status === "partial"
+    ) {
+      failedEssays.push(essay);
+    } else if (
+      !previous.processed_at ||
+      Date.parse(previous.processed_at) < cutoff
+    ) {
+      staleEssays.push(essay);
+    } else {
+      // Keep the old search results, but with the freshly scraped essay
+      carried[essayKey(essay)] = { ...previous, essay };
+    }
+  }
+
+  const removedEssays = Object.values(previousResults)
+    .filter((result) => !matched.has(result))
+    .map((result) => result.essay);
+
+  return {
+    carried,
+    newEssays,
+    staleEssays,
+    failedEssays,
+    renamedEssays,
+    removedEssays,
+    toSearch: [...newEssays, ...staleEssays, ...failedEssays],
+  };
+}
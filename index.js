@@ -1,17 +1,129 @@
 import fs from "fs/promises";
+import path from "path";
+import {
+  getEssayYear,
+  getFirstHnPostDate,
+  groupResultsByYear,
+} from "./dates.js";
+import {
+  createDiscussionSources,
+  DEFAULT_DISCUSSION_SOURCES,
+  DISCUSSION_SOURCES,
+  hackerNewsEndpoints,
+  summarizeDiscussions,
+} from "./discussionSources.js";
 import { generateHtmlReport } from "./generateHtml.js";
+import {
+  getSeries,
+  HISTORY_FILE,
+  loadHistory,
+  recordRun,
+  saveHistory,
+} from "./history.js";
+import { CACHE_MODES, configureHttpCache } from "./httpCache.js";
+import {
+  configureCsvExport,
+  CSV_DIALECTS,
+  ESSAY_COLUMNS,
+  essaysToCsv,
+  getCsvConfig,
+  POST_COLUMNS,
+  postsToCsv,
+  unknownColumns,
+} from "./csvExport.js";
+import {
+  findLatestReport,
+  loadPreviousResults,
+  planIncrementalRun,
+} from "./incremental.js";
+import { essayKey } from "./essayKeys.js";
+import {
+  buildRunManifest,
+  diffManifests,
+  formatDifferences,
+} from "./manifest.js";
+import { generateMarkdownReport } from "./markdown.js";
+import { DEFAULT_MIN_CONFIDENCE } from "./matcher.js";
+import { applyOverrides, loadOverrides, OVERRIDES_FILE } from "./overrides.js";
+import {
+  checkNameTemplate,
+  configureOutput,
+  DEFAULT_NAME_TEMPLATE,
+  getOutputConfig,
+  reportPaths,
+  writeLatestPointer,
+} from "./outputFiles.js";
 import { processEssaysInParallel } from "./parallelSearch.js";
+import {
+  configureScheduler,
+  getSchedulerStats,
+  setSchedulerSignal,
+} from "./requestScheduler.js";
+import { DEFAULT_MAX_PAGES } from "./searchHackerNews.js";
+import {
+  analyzeThreadsForResults,
+  summarizeThreads,
+} from "./threadAnalysis.js";
+import {
+  ESSAY_SOURCES,
+  loadEssaySource,
+  paulGrahamSource,
+} from "./essaySources.js";
 import { ProgressTracker } from "./progressTracker.js";
 import { scrapeEssays } from "./scrapeEssays.js";
+import {
+  configureSessionStorage,
+  DEFAULT_STORAGE,
+  SESSIONS_DIR,
+  STORAGE_BACKENDS,
+} from "./sessionStorage.js";
+import { installShutdownHandler } from "./shutdown.js";
 
 /**
  * Generate a comprehensive report of results
- * @param {Object} results - Results from HN search
+ * @param {Object} results - Results from HN search, keyed by essay key
+ * @param {EssaySource} source - Source adapter the essays were scraped from
+ * @param {number} minConfidence - Match confidence threshold used for the search
  * @returns {Object} Formatted report
  */
-function generateReport(results) {
+function generateReport(
+  results,
+  source = paulGrahamSource,
+  minConfidence = DEFAULT_MIN_CONFIDENCE
+) {
   const essays = Object.values(results);
 
+  // Sessions saved before dates were tracked lack the first HN post date
+  for (const essayResult of essays) {
+    if (essayResult.first_hn_post_at === undefined) {
+      essayResult.first_hn_post_at = getFirstHnPostDate(essayResult.hn_posts);
+    }
+  }
+
+  // Essays whose search failed have no posts, but weren't shown to be absent
+  const failedSearches = essays
+    .filter(
+      (e) => e.search_status === "failed" || e.search_status === "partial"
+    )
+    .map((e) => ({
+      essay_key: essayKey(e.essay),
+      essay_title: e.essay.title,
+      essay_url: e.essay.url,
+      search_status: e.search_status,
+      search_errors: e.search_errors || [],
+    }));
+  const searchedEssays = essays.filter((e) => e.search_status !== "failed");
+
+  // Essays whose title changed since the run this one built on
+  const renamedEssays = essays
+    .filter((e) => e.essay.previous_title)
+    .map((e) => ({
+      essay_key: essayKey(e.essay),
+      essay_title: e.essay.title,
+      previous_title: e.essay.previous_title,
+      essay_url: e.essay.url,
+    }));
+
   // Sort essays by maximum points received on any HN post
   const sortedByPopularity = essays
     .filter((essay) => essay.total_posts > 0)
@@ -23,56 +135,192 @@ function generateReport(results) {
     for (const post of essayResult.hn_posts) {
       allPosts.push({
         ...post,
+        essay_key: essayKey(essayResult.essay),
         essay_title: essayResult.essay.title,
         essay_url: essayResult.essay.url,
+        essay_published_at: essayResult.essay.published_at || null,
       });
     }
   }
   allPosts.sort((a, b) => b.points - a.points);
 
+  // Posts that just missed the confidence threshold, for manual review
+  const borderlinePosts = [];
+  for (const essayResult of essays) {
+    for (const post of essayResult.borderline_posts || []) {
+      borderlinePosts.push({
+        ...post,
+        essay_key: essayKey(essayResult.essay),
+        essay_title: essayResult.essay.title,
+        essay_url: essayResult.essay.url,
+      });
+    }
+  }
+  borderlinePosts.sort((a, b) => b.match_confidence - a.match_confidence);
+
+  // Posts removed by a manual override, kept so the decision is visible
+  const excludedPosts = essays.flatMap((essayResult) =>
+    (essayResult.excluded_posts || []).map((post) => ({
+      ...post,
+      essay_key: essayKey(essayResult.essay),
+      essay_title: essayResult.essay.title,
+      essay_url: essayResult.essay.url,
+    }))
+  );
+
   // Statistics
   const stats = {
     total_essays: essays.length,
     essays_found_on_hn: essays.filter((e) => e.total_posts > 0).length,
     total_hn_posts: allPosts.length,
+    essays_not_found: searchedEssays.filter((e) => e.total_posts === 0).length,
+    failed_searches: essays.length - searchedEssays.length,
+    partial_searches:
+      failedSearches.length - (essays.length - searchedEssays.length),
     avg_posts_per_essay:
-      essays.length > 0 ? (allPosts.length / essays.length).toFixed(2) : 0,
+      searchedEssays.length > 0
+        ? (allPosts.length / searchedEssays.length).toFixed(2)
+        : 0,
     highest_scoring_post: allPosts.length > 0 ? allPosts[0] : null,
     total_points: allPosts.reduce((sum, post) => sum + post.points, 0),
+    dated_essays: essays.filter((e) => e.essay.published_at).length,
+    renamed_essays: renamedEssays.length,
+    borderline_posts: borderlinePosts.length,
+    overridden_posts:
+      allPosts.filter((post) => post.override).length + excludedPosts.length,
+    search_pages_examined: essays.reduce(
+      (sum, e) => sum + (e.search_stats ? e.search_stats.pages : 0),
+      0
+    ),
+    search_hits_examined: essays.reduce(
+      (sum, e) => sum + (e.search_stats ? e.search_stats.hits_examined : 0),
+      0
+    ),
   };
 
+  // Per-year breakdown, using publication dates where known
+  const essaysByYear = groupResultsByYear(essays).map(({ year, essays }) => ({
+    year,
+    total_essays: essays.length,
+    essays_found_on_hn: essays.filter((e) => e.total_posts > 0).length,
+    total_points: essays.reduce(
+      (sum, e) => sum + e.hn_posts.reduce((s, post) => s + post.points, 0),
+      0
+    ),
+    top_essay: essays.reduce(
+      (top, e) => (!top || e.max_points > top.max_points ? e : top),
+      null
+    ).essay.title,
+  }));
+
   return {
     generated_at: new Date().toISOString(),
+    source: { name: source.name, label: source.label, domain: source.domain },
+    match_threshold: minConfidence,
     statistics: stats,
     essays_by_popularity: sortedByPopularity,
+    essays_by_year: essaysByYear,
     all_posts_by_points: allPosts.slice(0, 50), // Top 50 posts
+    borderline_posts: borderlinePosts,
+    failed_searches: failedSearches,
+    excluded_posts: excludedPosts,
+    renamed_essays: renamedEssays,
+    thread_analytics: summarizeThreads(allPosts),
+    discussions: summarizeDiscussions(essays),
     detailed_results: results,
   };
 }
 
+/**
+ * Append the posts this run searched to the points/comments history and
+ * embed each post's series in the report for sparklines. Results carried
+ * over by --incremental were fetched by an earlier run, so they add no
+ * samples. The history file lives in the output directory.
+ * @param {Object} report - Generated report (modified in place)
+ * @param {ProgressTracker} tracker - Session the report was generated from
+ */
+async function recordHistory(report, tracker) {
+  const searchedSince = tracker.state.startTime;
+  const results = Object.values(report.detailed_results);
+  const posts = results
+    .filter((result) => result.processed_at >= searchedSince)
+    .flatMap((result) =>
+      result.hn_posts.map((post) => ({
+        ...post,
+        essay_title: result.essay.title,
+      }))
+    );
+
+  const historyPath = path.join(getOutputConfig().dir, HISTORY_FILE);
+  try {
+    const history = await loadHistory(historyPath);
+    recordRun(history, posts, report.generated_at, tracker.sessionId);
+    await saveHistory(history, historyPath);
+    report.points_history = getSeries(
+      history,
+      results.flatMap((result) => result.hn_posts.map((post) => post.id))
+    );
+    console.log(
+      `📈 Recorded ${posts.length} posts in the history (${history.runs.length} runs)`
+    );
+  } catch (error) {
+    console.warn(`⚠️ Could not update history: ${error.message}`);
+  }
+}
+
 /**
  * Save results to multiple formats
  * @param {Object} report - Generated report
+ * @param {string} prefix - File name prefix; partial reports use their own so
+ *   they are never mistaken for the latest full report
+ * @returns {Promise<Object>} Paths of the saved files
  */
-async function saveResults(report) {
-  const timestamp = new Date().toISOString().split("T")[0]; // YYYY-MM-DD format
+async function saveResults(report, prefix = "pg-essays") {
+  const { extension } = getCsvConfig();
+  const paths = await reportPaths(
+    {
+      prefix,
+      session: report.session_id,
+      source: report.source && report.source.name,
+    },
+    {
+      json: ["hn-report", "json"],
+      summary: ["summary", "txt"],
+      markdown: ["report", "md"],
+      posts_csv: ["posts", extension],
+      essays_csv: ["essays", extension],
+      html: ["interactive", "html"],
+    }
+  );
 
   // Save comprehensive JSON report
-  const jsonPath = `pg-essays-hn-report-${timestamp}.json`;
+  const jsonPath = paths.json;
   await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
   console.log(`📄 Saved comprehensive report to: ${jsonPath}`);
 
   // Save a simplified summary
-  const summaryPath = `pg-essays-summary-${timestamp}.txt`;
-  let summary = `Paul Graham Essays on Hacker News - Report Generated: ${report.generated_at}\n`;
+  const summaryPath = paths.summary;
+  const label = report.source ? report.source.label : paulGrahamSource.label;
+  let summary = `${label} Essays on Hacker News - Report Generated: ${report.generated_at}\n`;
   summary += `${"=".repeat(70)}\n\n`;
 
+  if (report.partial) {
+    summary += `PARTIAL REPORT: the run was interrupted after ${report.partial.processed} of ${report.partial.total} essays\n\n`;
+  }
+
   summary += `STATISTICS:\n`;
   summary += `- Total essays analyzed: ${report.statistics.total_essays}\n`;
   summary += `- Essays found on HN: ${report.statistics.essays_found_on_hn}\n`;
+  if (report.statistics.failed_searches || report.statistics.partial_searches) {
+    summary += `- Failed searches: ${report.statistics.failed_searches} (${report.statistics.partial_searches} more partly failed)\n`;
+  }
   summary += `- Total HN posts found: ${report.statistics.total_hn_posts}\n`;
   summary += `- Average posts per essay: ${report.statistics.avg_posts_per_essay}\n`;
-  summary += `- Total points across all posts: ${report.statistics.total_points}\n\n`;
+  summary += `- Total points across all posts: ${report.statistics.total_points}\n`;
+  if (report.statistics.search_pages_examined) {
+    summary += `- Search result pages examined: ${report.statistics.search_pages_examined} (${report.statistics.search_hits_examined} hits)\n`;
+  }
+  summary += `\n`;
 
   if (report.statistics.highest_scoring_post) {
     summary += `HIGHEST SCORING POST:\n`;
@@ -81,82 +329,491 @@ async function saveResults(report) {
     summary += `- HN URL: ${report.statistics.highest_scoring_post.hn_url}\n\n`;
   }
 
+  const discussions = report.discussions;
+  if (discussions && discussions.sources.length > 1) {
+    summary += `DISCUSSION SOURCES:\n`;
+    discussions.sources.forEach((source) => {
+      summary += `- ${source.label}: ${source.total_posts} posts about ${source.essays_found} essays, ${source.total_points} points\n`;
+    });
+    summary += `\nTOP ESSAYS ACROSS ALL SOURCES:\n`;
+    discussions.combined_ranking.slice(0, 10).forEach((entry, index) => {
+      const breakdown = discussions.sources
+        .filter((source) => entry.by_source[source.name])
+        .map(
+          (source) => `${source.label} ${entry.by_source[source.name].points}`
+        )
+        .join(", ");
+      summary += `${index + 1}. ${entry.essay_title} (${
+        entry.total_points
+      } points: ${breakdown})\n`;
+    });
+    summary += `\n`;
+  }
+
   summary += `TOP ESSAYS BY HN POPULARITY:\n`;
   report.essays_by_popularity.slice(0, 10).forEach((essay, index) => {
-    summary += `${index + 1}. ${essay.essay.title} (${
-      essay.max_points
-    } max points, ${essay.total_posts} posts)\n`;
+    const year = getEssayYear(essay);
+    summary += `${index + 1}. ${essay.essay.title}${
+      year ? ` [${year}]` : ""
+    } (${essay.max_points} max points, ${essay.total_posts} posts)\n`;
+  });
+
+  summary += `\nESSAYS BY YEAR:\n`;
+  if (!report.statistics.dated_essays) {
+    // Publication dates come from the essay pages, which only --deep fetches
+    summary += `(No publication dates; years are those of each essay's first HN post. Run with --deep for publication dates.)\n`;
+  }
+  report.essays_by_year.forEach((group) => {
+    summary += `${group.year ?? "Undated"}: ${group.total_essays} essays, ${
+      group.essays_found_on_hn
+    } on HN, ${group.total_points} points (top: ${group.top_essay})\n`;
   });
 
   summary += `\nTOP 20 HN POSTS BY POINTS:\n`;
   report.all_posts_by_points.slice(0, 20).forEach((post, index) => {
-    summary += `${index + 1}. ${post.points} pts - ${post.title}\n`;
+    summary += `${index + 1}. ${post.points} pts - ${post.title}${
+      post.override ? ` [manual ${post.override.action}]` : ""
+    }\n`;
     summary += `    Essay: ${post.essay_title}\n`;
     summary += `    HN: ${post.hn_url}\n\n`;
   });
 
+  if (report.thread_analytics) {
+    const threads = report.thread_analytics;
+    summary += `THREAD ANALYTICS:\n`;
+    summary += `- Threads analyzed: ${threads.threads_analyzed} (${threads.comments_analyzed} comments)\n`;
+    summary += `- Average top-level comments: ${threads.avg_top_level_comments}\n`;
+    summary += `- Threads the author commented on: ${threads.author_commented_on.length}\n`;
+    threads.author_commented_on.slice(0, 10).forEach((post) => {
+      summary += `    ${post.title} - ${post.hn_url}\n`;
+    });
+    summary += `- Deepest threads:\n`;
+    threads.deepest_threads.forEach((post) => {
+      summary += `    depth ${post.max_depth}: ${post.title} - ${post.hn_url}\n`;
+    });
+    summary += `- Most frequent commenters: ${threads.frequent_commenters
+      .map((c) => `${c.author} (${c.comments})`)
+      .join(", ")}\n\n`;
+  }
+
+  if (report.failed_searches && report.failed_searches.length > 0) {
+    summary += `FAILED SEARCHES (not counted as "not found"):\n`;
+    report.failed_searches.forEach((failure) => {
+      summary += `- [${failure.search_status}] ${failure.essay_title}\n`;
+      failure.search_errors.slice(0, 3).forEach((error) => {
+        summary += `    ${error.source ? `${error.source}: ` : ""}${
+          error.query ? `"${error.query}": ` : ""
+        }${error.message}${error.code ? ` (${error.code})` : ""}\n`;
+      });
+    });
+    summary += `\n`;
+  }
+
+  if (report.renamed_essays && report.renamed_essays.length > 0) {
+    summary += `RENAMED ESSAYS (same essay, new title):\n`;
+    report.renamed_essays.forEach((rename) => {
+      summary += `- ${rename.previous_title} -> ${rename.essay_title} (${rename.essay_key})\n`;
+    });
+    summary += `\n`;
+  }
+
+  if (report.borderline_posts && report.borderline_posts.length > 0) {
+    summary += `BORDERLINE MATCHES (below ${report.match_threshold} confidence, not counted):\n`;
+    report.borderline_posts.slice(0, 20).forEach((post) => {
+      summary += `- [${post.match_confidence}] ${post.title} (${post.points} pts)\n`;
+      summary += `    Essay: ${post.essay_title}\n`;
+      summary += `    Why: ${post.match_reason}\n`;
+      summary += `    HN: ${post.hn_url}\n\n`;
+    });
+  }
+
+  if (report.statistics.overridden_posts > 0) {
+    summary += `MANUAL OVERRIDES:\n`;
+    report.all_posts_by_points
+      .filter((post) => post.override)
+      .forEach((post) => {
+        summary += `- ${post.override.action}: ${post.title} -> ${post.essay_title}`;
+        summary += post.override.note ? ` (${post.override.note})\n` : `\n`;
+      });
+    report.excluded_posts.forEach((post) => {
+      summary += `- exclude: ${post.title} (was matched to ${post.essay_title})`;
+      summary += post.override.note ? ` (${post.override.note})\n` : `\n`;
+    });
+    summary += `\n`;
+  }
+
   await fs.writeFile(summaryPath, summary);
   console.log(`📄 Saved summary to: ${summaryPath}`);
 
-  // Save a CSV for easy analysis
-  const csvPath = `pg-essays-posts-${timestamp}.csv`;
-  let csv =
-    "Essay Title,Essay URL,HN Post Title,HN Points,HN Comments,HN URL,HN Author,Created At\n";
-
-  report.all_posts_by_points.forEach((post) => {
-    const row = [
-      `"${post.essay_title.replace(/"/g, '""')}"`,
-      post.essay_url,
-      `"${post.title.replace(/"/g, '""')}"`,
-      post.points,
-      post.num_comments,
-      post.hn_url,
-      post.author,
-      post.created_at,
-    ].join(",");
-    csv += row + "\n";
-  });
+  // Save a Markdown report for wikis and GitHub discussions
+  const markdownPath = paths.markdown;
+  await generateMarkdownReport(report, markdownPath);
 
-  await fs.writeFile(csvPath, csv);
+  // Save CSVs for easy analysis: every post, and one row per essay
+  const csvPath = paths.posts_csv;
+  await fs.writeFile(csvPath, postsToCsv(report));
   console.log(`📄 Saved CSV data to: ${csvPath}`);
 
+  const essaysCsvPath = paths.essays_csv;
+  await fs.writeFile(essaysCsvPath, essaysToCsv(report));
+  console.log(`📄 Saved essay CSV to: ${essaysCsvPath}`);
+
   // Generate interactive HTML report
-  const htmlPath = `pg-essays-interactive-${timestamp}.html`;
+  const htmlPath = paths.html;
   await generateHtmlReport(report, htmlPath);
 
-  return { jsonPath, summaryPath, csvPath, htmlPath };
+  await writeLatestPointer(prefix, report, paths);
+
+  return {
+    jsonPath,
+    summaryPath,
+    markdownPath,
+    csvPath,
+    essaysCsvPath,
+    htmlPath,
+  };
+}
+
+/**
+ * Seed a new session with results from a previous run, so only new and
+ * stale essays get searched
+ * @param {ProgressTracker} tracker - Freshly initialized tracker
+ * @param {Array} essays - Essays currently on the index page
+ * @param {string|boolean} previous - Previous report or results file, or true for the latest report
+ * @param {number} maxAgeDays - Re-search essays whose results are older than this
+ */
+async function importPreviousResults(tracker, essays, previous, maxAgeDays) {
+  const previousPath = previous === true ? await findLatestReport() : previous;
+  if (!previousPath) {
+    console.log("⚠️ No previous report found, searching every essay\n");
+    return;
+  }
+
+  console.log(`📂 Incremental run based on: ${previousPath}`);
+  const previousResults = await loadPreviousResults(previousPath);
+  const plan = planIncrementalRun(essays, previousResults, maxAgeDays);
+
+  console.log(`   New essays: ${plan.newEssays.length}`);
+  plan.newEssays.forEach((essay) => console.log(`     + ${essay.title}`));
+  if (plan.renamedEssays.length > 0) {
+    console.log(`   Renamed essays: ${plan.renamedEssays.length}`);
+  }
+  plan.renamedEssays.forEach(({ essay, previous_title }) => {
+    console.log(`     ~ ${previous_title} -> ${essay.title}`);
+    // Recorded on the essay, so the report lists the rename whether the
+    // essay is carried over or searched again
+    essay.previous_title = previous_title;
+  });
+  console.log(
+    `   Stale essays (older than ${maxAgeDays} days): ${plan.staleEssays.length}`
+  );
+  if (plan.failedEssays.length > 0) {
+    console.log(`   Failed last time: ${plan.failedEssays.length}`);
+  }
+  console.log(
+    `   Up to date: ${Object.keys(plan.carried).length} essays carried over`
+  );
+  if (plan.removedEssays.length > 0) {
+    console.log(
+      `   No longer on the index page: ${plan.removedEssays.length} essays`
+    );
+  }
+  console.log();
+
+  await tracker.importResults(plan.carried);
+}
+
+/**
+ * Apply manual overrides to the results, if there is an overrides file
+ * @param {Object} results - Essay results from the tracker
+ * @param {string|null} overridesPath - Overrides file, or null for
+ *   overrides.json in the output directory if present
+ * @param {string} itemApiUrl - HN item API base URL
+ * @returns {Promise<Object>} Curated copy of the results (or the results unchanged)
+ */
+async function applyOverridesFile(results, overridesPath, itemApiUrl) {
+  const file =
+    overridesPath || path.join(getOutputConfig().dir, OVERRIDES_FILE);
+  const overrides = await loadOverrides(file, Boolean(overridesPath));
+  if (!overrides || overrides.length === 0) {
+    return results;
+  }
+
+  console.log(
+    `✋ Applying ${overrides.length} manual overrides from ${file}...`
+  );
+  const curated = await applyOverrides(results, overrides, { itemApiUrl });
+  console.log(`   Applied: ${curated.applied}`);
+  curated.skipped.forEach((entry) => {
+    console.warn(
+      `⚠️ Skipped ${entry.action} of HN item ${entry.item_id}: ${entry.reason}`
+    );
+  });
+  return curated.results;
+}
+
+/**
+ * Command line that resumes a session with the same options as this run
+ * @param {string} sessionId - Session to resume
+ * @returns {string} Shell command
+ */
+function resumeCommand(sessionId) {
+  const args = process.argv.slice(2);
+  const kept = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--resume" || args[i] === "-r") {
+      if (i + 1 < args.length && !args[i + 1].startsWith("-")) {
+        i++; // Skip the session ID too
+      }
+      continue;
+    }
+    kept.push(args[i]);
+  }
+
+  // Quote arguments the shell would split or expand
+  return ["node", "index.js", "--resume", sessionId, ...kept]
+    .map((arg) =>
+      /^[\w.,:=\/@%+-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, "'\\''")}'`
+    )
+    .join(" ");
+}
+
+/**
+ * Options a session was started with, recorded in the sessions index
+ * @param {Object} options - Run options
+ * @param {number} batchSize - Starting concurrency
+ * @returns {Object} Session config
+ */
+function sessionConfig(options, batchSize) {
+  return {
+    deep: Boolean(options.deep),
+    discussions: options.discussions || DEFAULT_DISCUSSION_SOURCES,
+    min_confidence: options.minConfidence ?? DEFAULT_MIN_CONFIDENCE,
+    max_pages: options.maxPages ?? DEFAULT_MAX_PAGES,
+    date_slices: options.dateSlices !== false,
+    slice_years: options.sliceYears ?? 1,
+    threads: options.threads || 0,
+    incremental: options.incremental || false,
+    batch_size: batchSize,
+  };
+}
+
+/**
+ * Compare a resumed session's manifest with this run's. Differences that
+ * change what the search finds stop the run unless forced; the others are
+ * only reported.
+ * @param {ProgressTracker} tracker - Resumed session
+ * @param {Object} manifest - Manifest of this run
+ * @param {boolean} force - Continue despite differences that change results
+ * @returns {Promise<boolean>} Whether the run may continue
+ */
+async function checkSessionManifest(tracker, manifest, force) {
+  const saved = tracker.state.manifest;
+  if (!saved) {
+    console.log(
+      "📋 Session has no run manifest (started by an older version), recording this run's"
+    );
+    await tracker.recordManifest(manifest);
+    return true;
+  }
+
+  const differences = diffManifests(saved, manifest);
+  if (differences.length === 0) {
+    return true;
+  }
+
+  console.warn("⚠️ This run's configuration differs from the session's:");
+  formatDifferences(differences).forEach((line) => console.warn(`   ${line}`));
+  const conflicts = differences.filter((d) => d.affects_results);
+  if (conflicts.length > 0 && !force) {
+    console.error(
+      `\n❌ ${conflicts.length} of these (✗) change what the search finds, so the session's results would be inconsistent. Resume with the options the session was started with (see: node report.js info ${tracker.progressFile}), or add --force to continue anyway.`
+    );
+    return false;
+  }
+
+  await tracker.recordManifest(
+    { ...manifest, created_at: saved.created_at },
+    differences
+  );
+  return true;
+}
+
+/**
+ * Run a phase so that Ctrl-C stops it cleanly instead of killing it: the
+ * first signal stops starting new work, the second cancels the requests in
+ * flight (see shutdown.js)
+ * @param {string} activity - What the phase does, for the shutdown messages
+ * @param {function(AbortSignal): Promise} work - Runs the phase; gets the
+ *   signal that asks it to stop
+ * @returns {Promise<Object>} The shutdown handler, to check for a signal
+ */
+async function runInterruptibly(activity, work) {
+  const shutdown = installShutdownHandler(activity);
+  setSchedulerSignal(shutdown.cancelSignal);
+  try {
+    await work(shutdown.stopSignal);
+  } finally {
+    shutdown.uninstall();
+    setSchedulerSignal(null);
+  }
+  return shutdown;
+}
+
+/**
+ * Save everything after a run was stopped by a signal: flush the session,
+ * optionally write a partial report, and print how to resume
+ * @param {ProgressTracker} tracker - Progress tracker of the run
+ * @param {EssaySource} source - Essay source adapter
+ * @param {number} minConfidence - Match confidence threshold
+ * @param {Object} options - Run options (partialReport, overrides)
+ */
+async function saveInterruptedRun(tracker, source, minConfidence, options) {
+  await tracker.markInterrupted();
+  const stats = tracker.getStats();
+  console.log(
+    `\n💾 Session saved: ${stats.processed}/${stats.total} essays processed (${tracker.progressFile})`
+  );
+
+  if (options.partialReport) {
+    console.log("📊 Generating partial report...");
+    let results = tracker.getResults();
+    if (options.overrides !== false) {
+      results = await applyOverridesFile(
+        results,
+        options.overrides,
+        hackerNewsEndpoints(options.discussionUrls).itemApiUrl
+      );
+    }
+    const report = generateReport(results, source, minConfidence);
+    report.session_id = tracker.sessionId;
+    report.manifest = tracker.state.manifest || null;
+    report.partial = {
+      processed: stats.processed,
+      total: stats.total,
+      interrupted_at: new Date().toISOString(),
+    };
+    await saveResults(report, "pg-essays-partial");
+  }
+
+  console.log("\n▶️ Resume with:");
+  console.log(`   ${resumeCommand(tracker.sessionId)}`);
 }
 
 /**
  * Main function to run the scraper
  * @param {string} resumeSessionId - Optional session ID to resume
- * @param {number} batchSize - Number of essays to process in parallel
+ * @param {number} batchSize - Number of essays to search in parallel to start
+ *   with; adapts to API latency and errors during the run
+ * @param {Object} options - Additional run options
+ * @param {boolean} options.deep - Fetch each essay page for content and metadata
+ * @param {string} options.source - Essay source adapter name or JSON definition path
+ * @param {string|boolean} options.incremental - Previous report or results file to
+ *   build on, or true to use the latest report
+ * @param {number} options.maxAgeDays - Re-search carried-over essays older than this
+ * @param {number} options.minConfidence - Minimum match confidence for HN posts
+ * @param {number} options.maxPages - Maximum Algolia result pages per query or date window
+ * @param {boolean} options.dateSlices - Search common titles in date windows
+ * @param {number} options.sliceYears - Length of each date window in years
+ * @param {number} options.threads - Analyze comment threads of this many top
+ *   posts per essay (0 to skip)
+ * @param {boolean} options.retryFailed - On resume, search essays whose search
+ *   failed or partly failed again
+ * @param {Array<string>} options.discussions - Discussion sources to search
+ * @param {Object} options.discussionUrls - Base URL overrides per discussion source
+ * @param {string|boolean|null} options.overrides - Overrides file, null to use
+ *   overrides.json if it exists, or false to ignore overrides
+ * @param {boolean} options.partialReport - Write a partial report when the
+ *   search is interrupted
+ * @param {string} options.storage - Session storage backend for new sessions
  */
-async function main(resumeSessionId = null, batchSize = 5) {
-  console.log("🚀 Starting Paul Graham essay scraper...\n");
+async function main(resumeSessionId = null, batchSize = 5, options = {}) {
+  const { deep = false, minConfidence = DEFAULT_MIN_CONFIDENCE } = options;
+
+  console.log("🚀 Starting essay scraper...\n");
 
+  let tracker;
   try {
-    let tracker;
     let essays;
+    let source;
+    const discussionSources = createDiscussionSources(
+      options.discussions,
+      options.discussionUrls
+    );
 
     // Step 1: Setup progress tracker and essays
     if (resumeSessionId) {
       console.log(`📂 Resuming session: ${resumeSessionId}`);
-      tracker = await ProgressTracker.loadSession(resumeSessionId);
+      tracker = await ProgressTracker.loadSession(
+        resumeSessionId,
+        options.storage
+      );
       essays = tracker.state.essays;
 
+      // Stick with the source the session was started with
+      const sourceSpec =
+        options.source || tracker.state.source || paulGrahamSource.name;
+      source = await loadEssaySource(sourceSpec);
+
+      const manifest = await buildRunManifest({
+        source,
+        sourceSpec,
+        discussionSources,
+        options,
+        batchSize,
+      });
+      if (!(await checkSessionManifest(tracker, manifest, options.force))) {
+        process.exit(1);
+      }
+
       if (!essays || essays.length === 0) {
         console.log("📚 Re-scraping essays for resumed session...");
-        essays = await scrapeEssays();
-        await tracker.initializeEssays(essays);
+        essays = await scrapeEssays({ source, deep });
+        await tracker.initializeEssays(
+          essays,
+          sourceSpec,
+          sessionConfig(options, batchSize)
+        );
+      }
+
+      if (options.retryFailed) {
+        const failed = tracker.getFailedEssays();
+        console.log(`🔁 Retrying ${failed.length} failed searches`);
+        await tracker.requeueEssays(failed);
       }
+      await tracker.updateIndex({ status: "in_progress" });
     } else {
-      console.log("📚 Step 1: Scraping Paul Graham's essays...");
-      essays = await scrapeEssays();
+      const sourceSpec = options.source || paulGrahamSource.name;
+      source = await loadEssaySource(sourceSpec);
+
+      console.log(`📚 Step 1: Scraping ${source.label}'s essays...`);
+      essays = await scrapeEssays({ source, deep });
       console.log(`✅ Found ${essays.length} essays\n`);
 
-      tracker = new ProgressTracker();
-      await tracker.initializeEssays(essays);
+      tracker = new ProgressTracker(null, options.storage);
+      await tracker.initializeEssays(
+        essays,
+        sourceSpec,
+        sessionConfig(options, batchSize)
+      );
+      await tracker.recordManifest(
+        await buildRunManifest({
+          source,
+          sourceSpec,
+          discussionSources,
+          options,
+          batchSize,
+        })
+      );
+
+      if (options.incremental) {
+        await importPreviousResults(
+          tracker,
+          essays,
+          options.incremental,
+          options.maxAgeDays
+        );
+      }
     }
 
     const stats = tracker.getStats();
@@ -171,22 +828,79 @@ async function main(resumeSessionId = null, batchSize = 5) {
     } else {
       // Step 2: Search for each essay on Hacker News (with parallel processing)
       console.log(
-        `🔍 Step 2: Searching Hacker News for essays (batch size: ${batchSize})...`
+        `🔍 Step 2: Searching ${discussionSources
+          .map((s) => s.label)
+          .join(", ")} for essays (starting concurrency: ${batchSize})...`
       );
       const startTime = Date.now();
 
-      const results = await processEssaysInParallel(essays, tracker, batchSize);
+      const shutdown = await runInterruptibly("searches", (signal) =>
+        processEssaysInParallel(essays, tracker, batchSize, {
+          minConfidence,
+          essaySource: source,
+          urlOptions: source.urlOptions,
+          maxPages: options.maxPages,
+          dateSlices: options.dateSlices,
+          sliceYears: options.sliceYears,
+          discussionSources,
+          progress: options.progress,
+          signal,
+        })
+      );
+
+      if (shutdown.signalName()) {
+        await saveInterruptedRun(tracker, source, minConfidence, options);
+        process.exit(shutdown.exitCode());
+      }
 
       const totalTime = Date.now() - startTime;
+      const requests = getSchedulerStats();
       console.log(
-        `✅ Completed HN search in ${(totalTime / 1000).toFixed(1)}s\n`
+        `✅ Completed HN search in ${(totalTime / 1000).toFixed(1)}s (${
+          requests.requests
+        } requests, ${requests.retries} retries, ${
+          requests.throttled
+        } throttled)\n`
       );
     }
 
+    // Optional: fetch and analyze comment threads of the top posts
+    if (options.threads > 0) {
+      console.log(
+        `🧵 Analyzing comment threads (top ${options.threads} posts per essay)...`
+      );
+      const shutdown = await runInterruptibly("thread fetches", (signal) =>
+        analyzeThreadsForResults(tracker.getResults(), {
+          topPosts: options.threads,
+          authorUsername: source.hnUsername,
+          ...hackerNewsEndpoints(options.discussionUrls),
+          signal,
+        })
+      );
+      await tracker.saveResults();
+
+      // Threads analyzed so far are kept; resuming fetches the rest
+      if (shutdown.signalName()) {
+        await saveInterruptedRun(tracker, source, minConfidence, options);
+        process.exit(shutdown.exitCode());
+      }
+      console.log();
+    }
+
     // Step 3: Generate report and save results
     console.log("📊 Step 3: Generating final report...");
-    const results = tracker.getResults();
-    const report = generateReport(results);
+    let results = tracker.getResults();
+    if (options.overrides !== false) {
+      results = await applyOverridesFile(
+        results,
+        options.overrides,
+        hackerNewsEndpoints(options.discussionUrls).itemApiUrl
+      );
+    }
+    const report = generateReport(results, source, minConfidence);
+    report.session_id = tracker.sessionId;
+    report.manifest = tracker.state.manifest || null;
+    await recordHistory(report, tracker);
 
     // Step 4: Save to files
     console.log("💾 Step 4: Saving final results...");
@@ -203,6 +917,19 @@ async function main(resumeSessionId = null, batchSize = 5) {
     console.log(
       `- ${report.statistics.essays_found_on_hn} essays have been posted on HN`
     );
+    if (
+      report.statistics.failed_searches + report.statistics.partial_searches >
+      0
+    ) {
+      console.log(
+        `- ⚠️ ${report.statistics.failed_searches} searches failed and ${report.statistics.partial_searches} partly failed; retry with: node index.js --resume ${tracker.sessionId} --retry-failed`
+      );
+    }
+    if (report.statistics.borderline_posts > 0) {
+      console.log(
+        `- ${report.statistics.borderline_posts} borderline matches to review (below ${report.match_threshold} confidence)`
+      );
+    }
 
     if (report.statistics.highest_scoring_post) {
       console.log(
@@ -213,18 +940,26 @@ async function main(resumeSessionId = null, batchSize = 5) {
     console.log("\nFiles saved:");
     console.log(`- ${savedFiles.jsonPath} (complete data)`);
     console.log(`- ${savedFiles.summaryPath} (human-readable summary)`);
-    console.log(`- ${savedFiles.csvPath} (spreadsheet data)`);
+    console.log(`- ${savedFiles.markdownPath} (Markdown report)`);
+    console.log(`- ${savedFiles.csvPath} (spreadsheet data, every post)`);
+    console.log(
+      `- ${savedFiles.essaysCsvPath} (spreadsheet data, every essay)`
+    );
     console.log(`- ${savedFiles.htmlPath} (interactive web report)`);
 
     console.log(
-      `\n🌐 Open the interactive report: file://${process.cwd()}/${
+      `\n🌐 Open the interactive report: file://${path.resolve(
         savedFiles.htmlPath
-      }`
+      )}`
     );
   } catch (error) {
     console.error("❌ Error running scraper:", error);
+    if (!tracker) {
+      process.exit(1);
+    }
+    await tracker.markInterrupted();
     console.log("\n💾 Progress has been saved. You can resume with:");
-    console.log(`node index.js --resume`);
+    console.log(resumeCommand(tracker.sessionId));
     process.exit(1);
   }
 }
@@ -239,6 +974,37 @@ function parseArgs() {
     sessionId: null,
     batchSize: 5,
     listSessions: false,
+    deep: false,
+    source: null,
+    cacheMode: "off",
+    cacheDir: null,
+    cacheTtlHours: null,
+    rate: null,
+    burst: null,
+    hostConcurrency: null,
+    maxRetries: null,
+    hostLimits: {},
+    incremental: false,
+    maxAgeDays: 7,
+    minConfidence: DEFAULT_MIN_CONFIDENCE,
+    maxPages: DEFAULT_MAX_PAGES,
+    dateSlices: true,
+    sliceYears: 1,
+    threads: 0,
+    retryFailed: false,
+    force: false,
+    discussions: DEFAULT_DISCUSSION_SOURCES,
+    discussionUrls: {},
+    overrides: null,
+    progress: true,
+    partialReport: false,
+    storage: DEFAULT_STORAGE,
+    csvColumns: null,
+    essayColumns: null,
+    csvDelimiter: null,
+    csvDialect: null,
+    outDir: null,
+    nameTemplate: null,
   };
 
   for (let i = 0; i < args.length; i++) {
@@ -251,32 +1017,365 @@ function parseArgs() {
         options.sessionId = args[i + 1];
         i++; // Skip next arg since we consumed it
       }
+    } else if (arg === "--retry-failed") {
+      options.retryFailed = true;
+    } else if (arg === "--force") {
+      options.force = true;
     } else if (arg === "--batch-size" || arg === "-b") {
       if (i + 1 < args.length) {
         options.batchSize = parseInt(args[i + 1], 10);
         i++; // Skip next arg
       }
+      if (!(options.batchSize >= 1)) {
+        console.error("--batch-size must be a whole number of at least 1");
+        process.exit(1);
+      }
     } else if (arg === "--list-sessions" || arg === "-l") {
       options.listSessions = true;
+    } else if (arg === "--deep" || arg === "-d") {
+      options.deep = true;
+    } else if (arg === "--source" || arg === "-s") {
+      if (i + 1 < args.length) {
+        options.source = args[i + 1];
+        i++; // Skip next arg
+      }
+    } else if (arg === "--incremental" || arg === "-i") {
+      options.incremental = true;
+      // Check if next arg is a previous report or results file
+      if (i + 1 < args.length && !args[i + 1].startsWith("-")) {
+        options.incremental = args[i + 1];
+        i++; // Skip next arg since we consumed it
+      }
+    } else if (arg === "--max-age") {
+      if (i + 1 < args.length) {
+        options.maxAgeDays = parseFloat(args[i + 1]);
+        i++; // Skip next arg
+      }
+      if (!(Number.isFinite(options.maxAgeDays) && options.maxAgeDays >= 0)) {
+        console.error("--max-age must be a number of days of at least 0");
+        process.exit(1);
+      }
+    } else if (arg === "--min-confidence") {
+      if (i + 1 < args.length) {
+        options.minConfidence = parseFloat(args[i + 1]);
+        i++; // Skip next arg
+      }
+      if (!(options.minConfidence >= 0 && options.minConfidence <= 1)) {
+        console.error("--min-confidence must be a number from 0 to 1");
+        process.exit(1);
+      }
+    } else if (arg === "--max-pages") {
+      if (i + 1 < args.length) {
+        options.maxPages = parseInt(args[i + 1], 10);
+        i++; // Skip next arg
+      }
+      if (!(options.maxPages >= 1)) {
+        console.error("--max-pages must be a whole number of at least 1");
+        process.exit(1);
+      }
+    } else if (arg === "--slice-years") {
+      if (i + 1 < args.length) {
+        options.sliceYears = parseFloat(args[i + 1]);
+        i++; // Skip next arg
+      }
+      if (!(Number.isFinite(options.sliceYears) && options.sliceYears > 0)) {
+        console.error("--slice-years must be a number greater than 0");
+        process.exit(1);
+      }
+    } else if (arg === "--no-date-slices") {
+      options.dateSlices = false;
+    } else if (arg === "--threads" || arg === "-t") {
+      options.threads = 3;
+      // Check if next arg is the number of posts per essay
+      if (i + 1 < args.length && /^\d+$/.test(args[i + 1])) {
+        options.threads = parseInt(args[i + 1], 10);
+        i++; // Skip next arg since we consumed it
+      }
+    } else if (arg === "--discussions") {
+      if (i + 1 < args.length) {
+        options.discussions = args[i + 1].split(",").map((s) => s.trim());
+        i++; // Skip next arg
+      }
+    } else if (arg === "--discussion-url") {
+      if (i + 1 < args.length) {
+        const [name, ...url] = args[i + 1].split("=");
+        options.discussionUrls[name] = url.join("=");
+        i++; // Skip next arg
+      }
+    } else if (arg === "--overrides") {
+      if (i + 1 < args.length) {
+        options.overrides = args[i + 1];
+        i++; // Skip next arg
+      }
+    } else if (arg === "--no-overrides") {
+      options.overrides = false;
+    } else if (arg === "--cache") {
+      if (i + 1 < args.length) {
+        options.cacheMode = args[i + 1];
+        i++; // Skip next arg
+      }
+      if (!CACHE_MODES.includes(options.cacheMode)) {
+        console.error(
+          `Unknown cache mode "${
+            options.cacheMode
+          }". Use one of: ${CACHE_MODES.join(", ")}`
+        );
+        process.exit(1);
+      }
+    } else if (arg === "--cache-dir") {
+      if (i + 1 < args.length) {
+        options.cacheDir = args[i + 1];
+        i++; // Skip next arg
+      }
+    } else if (arg === "--cache-ttl") {
+      if (i + 1 < args.length) {
+        options.cacheTtlHours = parseFloat(args[i + 1]);
+        i++; // Skip next arg
+      }
+    } else if (arg === "--rate") {
+      if (i + 1 < args.length) {
+        options.rate = parseFloat(args[i + 1]);
+        i++; // Skip next arg
+      }
+      if (!(Number.isFinite(options.rate) && options.rate > 0)) {
+        console.error("--rate must be a number of requests per second above 0");
+        process.exit(1);
+      }
+    } else if (arg === "--burst") {
+      if (i + 1 < args.length) {
+        options.burst = parseInt(args[i + 1], 10);
+        i++; // Skip next arg
+      }
+      if (!(options.burst >= 1)) {
+        console.error("--burst must be a whole number of at least 1");
+        process.exit(1);
+      }
+    } else if (arg === "--host-concurrency") {
+      if (i + 1 < args.length) {
+        options.hostConcurrency = parseInt(args[i + 1], 10);
+        i++; // Skip next arg
+      }
+      if (!(options.hostConcurrency >= 1)) {
+        console.error(
+          "--host-concurrency must be a whole number of at least 1"
+        );
+        process.exit(1);
+      }
+    } else if (arg === "--max-retries") {
+      if (i + 1 < args.length) {
+        options.maxRetries = parseInt(args[i + 1], 10);
+        i++; // Skip next arg
+      }
+      if (!(options.maxRetries >= 0)) {
+        console.error("--max-retries must be a whole number of at least 0");
+        process.exit(1);
+      }
+    } else if (arg === "--host-limit") {
+      if (i + 1 < args.length) {
+        const [host, rate] = args[i + 1].split("=");
+        const limit = parseFloat(rate);
+        if (!(host && Number.isFinite(limit) && limit > 0)) {
+          console.error(
+            `--host-limit needs host=rate with a rate above 0, got "${
+              args[i + 1]
+            }"`
+          );
+          process.exit(1);
+        }
+        options.hostLimits[host] = { rate: limit };
+        i++; // Skip next arg
+      }
+    } else if (arg === "--no-progress") {
+      options.progress = false;
+    } else if (arg === "--partial-report") {
+      options.partialReport = true;
+    } else if (arg === "--storage") {
+      if (i + 1 < args.length) {
+        options.storage = args[i + 1];
+        i++; // Skip next arg
+      }
+      if (!STORAGE_BACKENDS[options.storage]) {
+        console.error(
+          `Unknown storage backend "${
+            options.storage
+          }". Use one of: ${Object.keys(STORAGE_BACKENDS).join(", ")}`
+        );
+        process.exit(1);
+      }
+    } else if (arg === "--csv-columns") {
+      if (i + 1 < args.length) {
+        options.csvColumns = args[i + 1].split(",").map((s) => s.trim());
+        i++; // Skip next arg
+      }
+      const unknown = unknownColumns(options.csvColumns || [], POST_COLUMNS);
+      if (!options.csvColumns || unknown.length > 0) {
+        console.error(
+          `Unknown posts CSV column "${
+            unknown[0] || ""
+          }". Use any of: ${POST_COLUMNS.map(([id]) => id).join(", ")}`
+        );
+        process.exit(1);
+      }
+    } else if (arg === "--essay-columns") {
+      if (i + 1 < args.length) {
+        options.essayColumns = args[i + 1].split(",").map((s) => s.trim());
+        i++; // Skip next arg
+      }
+      const unknown = unknownColumns(options.essayColumns || [], ESSAY_COLUMNS);
+      if (!options.essayColumns || unknown.length > 0) {
+        console.error(
+          `Unknown essays CSV column "${
+            unknown[0] || ""
+          }". Use any of: ${ESSAY_COLUMNS.map(([id]) => id).join(", ")}`
+        );
+        process.exit(1);
+      }
+    } else if (arg === "--csv-delimiter") {
+      if (i + 1 < args.length) {
+        const value = args[i + 1];
+        options.csvDelimiter =
+          value === "tab" || value === "\\t" ? "\t" : value;
+        i++; // Skip next arg
+      }
+      if (!options.csvDelimiter || !/^[^"\r\n]$/.test(options.csvDelimiter)) {
+        console.error(
+          `CSV delimiter must be a single character other than a quote or line break (or "tab")`
+        );
+        process.exit(1);
+      }
+    } else if (arg === "--csv-dialect") {
+      if (i + 1 < args.length) {
+        options.csvDialect = args[i + 1];
+        i++; // Skip next arg
+      }
+      if (!CSV_DIALECTS[options.csvDialect]) {
+        console.error(
+          `Unknown CSV dialect "${
+            options.csvDialect
+          }". Use one of: ${Object.keys(CSV_DIALECTS).join(", ")}`
+        );
+        process.exit(1);
+      }
+    } else if (arg === "--out-dir" || arg === "-o") {
+      if (i + 1 < args.length) {
+        options.outDir = args[i + 1];
+        i++; // Skip next arg
+      }
+    } else if (arg === "--name-template") {
+      if (i + 1 < args.length) {
+        options.nameTemplate = args[i + 1];
+        i++; // Skip next arg
+      }
+      const problem = checkNameTemplate(options.nameTemplate || "");
+      if (problem) {
+        console.error(problem);
+        process.exit(1);
+      }
     } else if (arg === "--help" || arg === "-h") {
+      const sourceNames = Object.keys(ESSAY_SOURCES).join(", ");
+      const discussionNames = Object.keys(DISCUSSION_SOURCES).join(", ");
       console.log(`
-Paul Graham Essay Scraper
+Essay Scraper (Paul Graham by default)
 
 Usage:
   node index.js [options]
 
 Options:
   --resume, -r [sessionId]    Resume from a previous session
-  --batch-size, -b <number>   Number of essays to process in parallel (default: 5)
+  --retry-failed              With --resume, search essays whose search failed
+                              or partly failed again
+  --force                     With --resume, continue even if options that
+                              change the results differ from the session's
+  --batch-size, -b <number>   Number of essays to search in parallel at first;
+                              adapts to API latency and errors, up to twice
+                              this number (default: 5)
   --list-sessions, -l         List available sessions to resume
+  --deep, -d                  Fetch every essay page for body text, word count,
+                              date, footnotes and acknowledgements (the
+                              session starts once they are all fetched, so
+                              Ctrl-C before then saves nothing)
+  --source, -s <name|file>    Essay source adapter: a built-in name
+                              (${sourceNames}) or a JSON definition file
+                              (default: paulgraham)
+  --incremental, -i [file]    Only search essays that are new or stale since a
+                              previous report or results file (default: the
+                              latest pg-essays-hn-report-*.json)
+  --max-age <days>            In incremental mode, re-search essays whose data
+                              is older than this (default: 7)
+  --min-confidence <0-1>      Minimum match confidence for an HN post to count
+                              (default: ${DEFAULT_MIN_CONFIDENCE}); posts just below it are
+                              listed as borderline matches
+  --max-pages <number>        Maximum Algolia result pages (50 hits each) per
+                              query or date window (default: ${DEFAULT_MAX_PAGES})
+  --slice-years <years>       When a query has more hits than --max-pages can
+                              reach, search it in windows of this many years
+                              (default: 1)
+  --no-date-slices            Never split queries into date windows
+  --threads, -t [number]      Fetch and analyze the comment threads of each
+                              essay's top posts (default: 3 posts per essay)
+  --discussions <list>        Comma-separated discussion sources to search
+                              (${discussionNames}; default: hn)
+  --discussion-url <name=url> Use another base URL for a discussion source,
+                              e.g. a local stand-in server (repeatable);
+                              hn-items names the HN item API
+  --overrides <file>          Manual include/exclude/reassign decisions for HN
+                              posts (default: ${OVERRIDES_FILE} in the output
+                              directory, if it exists)
+  --no-overrides              Ignore the overrides file
+  --cache <mode>              HTTP cache mode: off, record, replay or ttl
+                              (default: off)
+  --cache-dir <dir>           Directory for cached responses (default: .http-cache)
+  --cache-ttl <hours>         Maximum age of cached responses in ttl mode
+                              (default: 24)
+  --rate <requests/s>         Requests per second per host (default: 3)
+  --burst <number>            Requests a host may get at once after being idle
+                              (default: 5)
+  --host-concurrency <number> Requests in flight per host (default: 4)
+  --max-retries <number>      Retries after 429, 5xx or network errors, with
+                              exponential backoff (default: 4)
+  --host-limit <host=rate>    Requests per second for one host (repeatable)
+  --no-progress               Log every essay instead of showing the progress
+                              display
+  --partial-report            If the search is interrupted (Ctrl-C, SIGTERM),
+                              write a report of the essays searched so far
+  --storage <backend>         Session storage: journal (append a record per
+                              essay) or json (rewrite the session files after
+                              every essay) (default: ${DEFAULT_STORAGE})
+  --csv-columns <list>        Columns of the posts CSV, comma separated (see
+                              the README for the column names)
+  --essay-columns <list>      Columns of the essays CSV, comma separated
+  --csv-delimiter <char>      Field delimiter of the CSVs, e.g. ";" or tab
+  --csv-dialect <name>        CSV dialect: ${Object.keys(CSV_DIALECTS).join(
+    ", "
+  )} (default: unix)
+  --out-dir, -o <dir>         Directory for reports, sessions, the points
+                              history and ${OVERRIDES_FILE} (default: the
+                              current directory)
+  --name-template <template>  Report file names, without extension; may use
+                              {prefix}, {kind}, {date}, {time}, {session} and
+                              {source} (default: ${DEFAULT_NAME_TEMPLATE})
   --help, -h                  Show this help message
 
 Examples:
   node index.js                           # Start fresh
   node index.js --resume                  # Resume latest session
   node index.js --resume abc123           # Resume specific session
+  node index.js --resume abc123 --retry-failed
   node index.js --batch-size 10           # Use larger batch size
+  node index.js --deep                    # Include full essay content
+  node index.js --source myblog.json      # Scrape another essay site
+  node index.js --incremental             # Only search new or stale essays
+  node index.js -i old-report.json --max-age 30
+  node index.js --threads                 # Add comment thread analytics
+  node index.js --discussions hn,lobsters,reddit
+  node index.js --overrides curated.json  # Apply manual match decisions
+  node index.js --cache record            # Save every HTTP response
+  node index.js --rate 1 --host-limit www.reddit.com=0.1
+  node index.js --cache replay            # Re-run offline from saved responses
   node index.js --list-sessions           # Show available sessions
+  node index.js --csv-dialect excel --csv-delimiter ";"
+  node index.js --csv-columns essay_key,title,points,author
+  node index.js --out-dir reports --name-template "{date}/{prefix}-{kind}-{time}"
       `);
       process.exit(0);
     }
@@ -289,6 +1388,35 @@ Examples:
 if (import.meta.url === `file://${process.argv[1]}`) {
   const options = parseArgs();
 
+  configureHttpCache({
+    mode: options.cacheMode,
+    dir: options.cacheDir,
+    ttl:
+      options.cacheTtlHours !== null
+        ? options.cacheTtlHours * 60 * 60 * 1000
+        : null,
+  });
+
+  configureOutput({ dir: options.outDir, template: options.nameTemplate });
+  if (options.outDir) {
+    configureSessionStorage({ dir: path.join(options.outDir, SESSIONS_DIR) });
+  }
+
+  configureCsvExport({
+    dialect: options.csvDialect,
+    delimiter: options.csvDelimiter,
+    postColumns: options.csvColumns,
+    essayColumns: options.essayColumns,
+  });
+
+  configureScheduler({
+    rate: options.rate,
+    burst: options.burst,
+    concurrency: options.hostConcurrency,
+    maxRetries: options.maxRetries,
+    hostLimits: options.hostLimits,
+  });
+
   if (options.listSessions) {
     ProgressTracker.listSessions().then((sessions) => {
       if (sessions.length === 0) {
@@ -301,6 +1429,7 @@ if (import.meta.url === `file://${process.argv[1]}`) {
         console.log(
           `\nTo resume a session: node index.js --resume <sessionId>`
         );
+        console.log(`Session details: node sessions.js`);
       }
     });
   } else if (options.resume && !options.sessionId) {
@@ -308,14 +1437,14 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     ProgressTracker.listSessions().then((sessions) => {
       if (sessions.length === 0) {
         console.log("No previous sessions found. Starting fresh...");
-        main(null, options.batchSize);
+        main(null, options.batchSize, options);
       } else {
         const latestSession = sessions[sessions.length - 1];
         console.log(`Resuming latest session: ${latestSession}`);
-        main(latestSession, options.batchSize);
+        main(latestSession, options.batchSize, options);
       }
     });
   } else {
-    main(options.sessionId, options.batchSize);
+    main(options.sessionId, options.batchSize, options);
   }
 }
@@ -0,0 +1,193 @@
+import fs from "fs/promises";
+import { hackerNewsEndpoints } from "./discussionSources.js";
+import { BORDERLINE_MARGIN, DEFAULT_MIN_CONFIDENCE } from "./matcher.js";
+import {
+  DEFAULT_MAX_PAGES,
+  HITS_PER_PAGE,
+  QUERY_TEMPLATES,
+} from "./searchHackerNews.js";
+
+/**
+ * Run manifests record how a session's results were produced: the tool
+ * version, essay and discussion sources, API endpoints, search queries,
+ * match filters and concurrency. Sessions and reports embed one, and
+ * resuming a session compares it with the manifest of the resumed run.
+ */
+
+export const MANIFEST_VERSION = 1;
+
+// Sections that change what a run finds. The others (tool version,
+// concurrency, caching) only change how it runs.
+const RESULT_SECTIONS = [
+  "essay_source",
+  "discussion_sources",
+  "endpoints",
+  "search",
+  "filters",
+  "analysis",
+];
+
+// Not part of the configuration
+const IGNORED_FIELDS = ["manifest_version", "created_at", "changes"];
+
+/**
+ * Name and version of the tool, from package.json
+ * @returns {Promise<Object>} { name, version }
+ */
+async function toolInfo() {
+  try {
+    const pkg = JSON.parse(
+      await fs.readFile(new URL("./package.json", import.meta.url), "utf-8")
+    );
+    return { name: pkg.name, version: pkg.version };
+  } catch (error) {
+    return { name: "pg-scraper", version: "unknown" };
+  }
+}
+
+/**
+ * Build the manifest of a run
+ * @param {Object} run - Run configuration
+ * @param {EssaySource} run.source - Essay source adapter
+ * @param {string} run.sourceSpec - Essay source name or definition path
+ * @param {Array<DiscussionSource>} run.discussionSources - Discussion sources searched
+ * @param {Object} run.options - Run options (see main in index.js)
+ * @param {number} run.batchSize - Starting concurrency
+ * @returns {Promise<Object>} Manifest
+ */
+export async function buildRunManifest({
+  source,
+  sourceSpec,
+  discussionSources,
+  options,
+  batchSize,
+}) {
+  const hackerNews = hackerNewsEndpoints(options.discussionUrls);
+  return {
+    manifest_version: MANIFEST_VERSION,
+    created_at: new Date().toISOString(),
+    tool: { ...(await toolInfo()), node: process.version },
+    essay_source: {
+      name: source.name,
+      spec: sourceSpec,
+      domain: source.domain,
+      url_options: source.urlOptions,
+      deep: Boolean(options.deep),
+    },
+    discussion_sources: discussionSources.map((s) => s.name),
+    endpoints: {
+      essay_index: source.indexUrl,
+      ...Object.fromEntries(discussionSources.map((s) => [s.name, s.baseUrl])),
+      hn_items: hackerNews.itemApiUrl,
+      hn_threads: `${hackerNews.baseUrl}/items`,
+    },
+    search: {
+      queries: QUERY_TEMPLATES,
+      hits_per_page: HITS_PER_PAGE,
+      max_pages: options.maxPages ?? DEFAULT_MAX_PAGES,
+      date_slices: options.dateSlices !== false,
+      slice_years: options.sliceYears ?? 1,
+    },
+    filters: {
+      min_confidence: options.minConfidence ?? DEFAULT_MIN_CONFIDENCE,
+      borderline_margin: BORDERLINE_MARGIN,
+    },
+    analysis: {
+      threads: options.threads || 0,
+    },
+    run: {
+      batch_size: batchSize,
+      max_retries: options.maxRetries ?? null,
+      host_limits: options.hostLimits || {},
+      cache_mode: options.cacheMode || "off",
+      incremental: options.incremental || false,
+      max_age_days: options.incremental ? options.maxAgeDays ?? null : null,
+      overrides: options.overrides ?? null,
+      storage: options.storage || null,
+    },
+  };
+}
+
+/**
+ * Flatten a manifest into dotted paths and values
+ * @param {Object} value - Manifest or part of one
+ * @param {string} prefix - Path of value
+ * @param {Object} into - Map of path to value to fill
+ * @returns {Object} Map of path to value
+ */
+function flatten(value, prefix = "", into = {}) {
+  if (
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).length > 0
+  ) {
+    for (const [key, child] of Object.entries(value)) {
+      if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+      flatten(child, prefix ? `${prefix}.${key}` : key, into);
+    }
+  } else {
+    into[prefix] = value;
+  }
+  return into;
+}
+
+/**
+ * Compare two manifests
+ * @param {Object} saved - Manifest a session was started with
+ * @param {Object} current - Manifest of the current run
+ * @returns {Array<Object>} Differences: { field, saved, current, affects_results }
+ */
+export function diffManifests(saved, current) {
+  const before = flatten(saved);
+  const after = flatten(current);
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return fields
+    .filter(
+      (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    )
+    .map((field) => ({
+      field,
+      saved: before[field] ?? null,
+      current: after[field] ?? null,
+      affects_results: RESULT_SECTIONS.includes(field.split(".")[0]),
+    }));
+}
+
+/**
+ * Describe manifest differences, one per line
+ * @param {Array<Object>} differences - Output of diffManifests
+ * @returns {Array<string>} Lines
+ */
+export function formatDifferences(differences) {
+  return differences.map(
+    (d) =>
+      `${d.affects_results ? "✗" : "~"} ${d.field}: ${JSON.stringify(
+        d.saved
+      )} -> ${JSON.stringify(d.current)}`
+  );
+}
+
+/**
+ * Describe a manifest for people, one line per setting
+ * @param {Object} manifest - Run manifest
+ * @returns {Array<string>} Lines
+ */
+export function formatManifest(manifest) {
+  const lines = [
+    `Tool: ${manifest.tool.name} ${manifest.tool.version} (Node ${manifest.tool.node})`,
+    `Created: ${manifest.created_at}`,
+  ];
+  for (const [field, value] of Object.entries(flatten(manifest))) {
+    if (field.startsWith("tool.")) continue;
+    lines.push(`${field}: ${JSON.stringify(value)}`);
+  }
+  (manifest.changes || []).forEach((change) => {
+    lines.push(
+      `Resumed ${change.resumed_at} with --force despite ${change.differences.length} changed settings:`
+    );
+    lines.push(...formatDifferences(change.differences).map((l) => `  ${l}`));
+  });
+  return lines;
+}
@@ -0,0 +1,189 @@
+import fs from "fs/promises";
+import { getEssayYear } from "./dates.js";
+
+/**
+ * Markdown version of a report, for pasting into wikis and GitHub
+ * discussions: statistics, essays ranked by HN popularity, top posts, and
+ * essays never posted
+ */
+
+// Rows in the top posts table
+const TOP_POSTS = 20;
+
+/**
+ * Escape text so Markdown shows it as is, also inside table cells
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text on a single line
+ */
+export function escapeMarkdown(text) {
+  return String(text ?? "")
+    .replace(/\s*[\r\n]+\s*/g, " ")
+    .replace(/[\\`*_[\]<>|#~]/g, "\\$&");
+}
+
+/**
+ * Markdown link, or plain text without a URL
+ * @param {string} text - Link text
+ * @param {string} url - Link target
+ * @returns {string} Link
+ */
+function link(text, url) {
+  if (!url) return escapeMarkdown(text);
+  // Parentheses and spaces would end the link target early
+  const target = url.replace(/[()\s]/g, (c) => encodeURIComponent(c));
+  return `[${escapeMarkdown(text)}](${target})`;
+}
+
+/**
+ * Markdown table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Cell contents, already escaped
+ * @param {Array<number>} numeric - Indexes of right-aligned columns
+ * @returns {string} Table
+ */
+function table(headers, rows, numeric = []) {
+  const separator = headers.map((_, i) =>
+    numeric.includes(i) ? "---:" : "---"
+  );
+  return [headers, separator, ...rows]
+    .map((cells) => `| ${cells.join(" | ")} |`)
+    .join("\n");
+}
+
+/**
+ * Highest scoring HN post of an essay
+ * @param {Object} essayResult - Essay result
+ * @returns {Object|null} Post
+ */
+function topPost(essayResult) {
+  return essayResult.hn_posts.reduce(
+    (top, post) => (!top || post.points > top.points ? post : top),
+    null
+  );
+}
+
+/**
+ * Render a report as Markdown
+ * @param {Object} report - Generated report from the scraper
+ * @returns {string} Markdown document
+ */
+export function renderMarkdownReport(report) {
+  const stats = report.statistics;
+  // Reports from before source adapters existed are all Paul Graham essays
+  const label = report.source ? report.source.label : "Paul Graham";
+  const essays = Object.values(report.detailed_results);
+  const sections = [];
+
+  let header = `# ${escapeMarkdown(label)} Essays on Hacker News\n\n`;
+  header += `Generated ${report.generated_at}`;
+  if (report.partial) {
+    header += `\n\n> **Partial report:** the run was interrupted after ${report.partial.processed} of ${report.partial.total} essays.`;
+  }
+  sections.push(header);
+
+  // Essays shown not to have been posted; failed searches prove nothing
+  const neverPosted = essays
+    .filter((e) => e.total_posts === 0 && (e.search_status || "ok") === "ok")
+    .sort((a, b) => a.essay.title.localeCompare(b.essay.title));
+
+  const statRows = [
+    ["Essays analyzed", stats.total_essays],
+    ["Essays found on HN", stats.essays_found_on_hn],
+    ["Essays never posted", neverPosted.length],
+    ["HN posts found", stats.total_hn_posts],
+    ["Average posts per essay", stats.avg_posts_per_essay],
+    ["Total points", stats.total_points],
+  ];
+  if (stats.failed_searches || stats.partial_searches) {
+    statRows.push([
+      "Failed searches",
+      `${stats.failed_searches} (${stats.partial_searches} more partly failed)`,
+    ]);
+  }
+  ((report.discussions && report.discussions.sources) || [])
+    .filter((source) => source.name !== "hn")
+    .forEach((source) => {
+      statRows.push([
+        `${escapeMarkdown(source.label)} posts`,
+        source.total_posts,
+      ]);
+    });
+  if (stats.highest_scoring_post) {
+    const post = stats.highest_scoring_post;
+    statRows.push([
+      "Highest scoring post",
+      `${link(post.title, post.hn_url)} (${post.points} points)`,
+    ]);
+  }
+  sections.push(`## Statistics\n\n${table(["Statistic", "Value"], statRows)}`);
+
+  sections.push(
+    `## Essays by HN Popularity\n\n${table(
+      ["#", "Essay", "Year", "HN posts", "Max points", "Top thread"],
+      report.essays_by_popularity.map((essayResult, index) => {
+        const post = topPost(essayResult);
+        return [
+          index + 1,
+          link(essayResult.essay.title, essayResult.essay.url),
+          getEssayYear(essayResult) ?? "",
+          essayResult.total_posts,
+          essayResult.max_points,
+          post
+            ? link(
+                `${post.points} points, ${post.num_comments} comments`,
+                post.hn_url
+              )
+            : "",
+        ];
+      }),
+      [0, 3, 4]
+    )}`
+  );
+
+  const topPosts = report.all_posts_by_points.slice(0, TOP_POSTS);
+  if (topPosts.length > 0) {
+    sections.push(
+      `## Top ${topPosts.length} HN Posts\n\n${table(
+        ["#", "Post", "Points", "Comments", "Posted", "Essay"],
+        topPosts.map((post, index) => [
+          index + 1,
+          link(post.title, post.hn_url),
+          post.points,
+          post.num_comments,
+          (post.created_at || "").slice(0, 10),
+          link(post.essay_title, post.essay_url),
+        ]),
+        [0, 2, 3]
+      )}`
+    );
+  }
+
+  let never = `## Essays Never Posted (${neverPosted.length})\n\n`;
+  never +=
+    neverPosted.length > 0
+      ? neverPosted
+          .map((essayResult) => {
+            const year = getEssayYear(essayResult);
+            return `- ${link(essayResult.essay.title, essayResult.essay.url)}${
+              year ? ` (${year})` : ""
+            }`;
+          })
+          .join("\n")
+      : "Every essay has been posted.";
+  if (stats.failed_searches || stats.partial_searches) {
+    never += `\n\n_Essays whose search failed are not listed._`;
+  }
+  sections.push(never);
+
+  return sections.join("\n\n") + "\n";
+}
+
+/**
+ * Write a report as Markdown
+ * @param {Object} report - Generated report from the scraper
+ * @param {string} outputPath - Path to save the Markdown file
+ */
+export async function generateMarkdownReport(report, outputPath) {
+  await fs.writeFile(outputPath, renderMarkdownReport(report));
+  console.log(`📄 Generated Markdown report: ${outputPath}`);
+}
@@ -0,0 +1,221 @@
+import { canonicalizeUrl } from "./canonicalUrl.js";
+
+/**
+ * Confidence-scored matching of Hacker News posts to essays
+ */
+
+// Posts scoring at least this much are attached to the essay
+export const DEFAULT_MIN_CONFIDENCE = 0.6;
+
+// Posts scoring within this margin below the threshold are kept for review
+export const BORDERLINE_MARGIN = 0.25;
+
+// Submitters often decorate titles: "Wealth (2004)", "Paul Graham: Wealth", "[pdf]"
+const TITLE_DECORATIONS = [/\(\d{4}\)/g, /\[(pdf|video|audio)\]/gi];
+
+// Author decorations for each set of names, built once
+const authorDecorationCache = new Map();
+
+// Publication dates are month precision, so allow some slack
+const PUBLICATION_SLACK_MS = 31 * 24 * 60 * 60 * 1000;
+
+/**
+ * Normalize a title for comparison: lowercase, no accents, no punctuation
+ * @param {string} text - Title to normalize
+ * @returns {string} Normalized title with single spaces between words
+ */
+export function normalizeTitle(text) {
+  return (text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // combining accents
+    .toLowerCase()
+    .replace(/[\u2018\u2019`]/g, "'")
+    .replace(/'s\b/g, "s")
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Split a title into normalized tokens
+ * @param {string} text - Title to tokenize
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text) {
+  const normalized = normalizeTitle(text);
+  return normalized ? normalized.split(" ") : [];
+}
+
+/**
+ * Patterns for the author's name or site around a title, e.g. "Paul Graham:
+ * Wealth", "Wealth - paulgraham.com" or "Wealth (by Paul Graham)"
+ * @param {EssaySource} essaySource - Source of the essay (authorNames and domain)
+ * @returns {Array<RegExp>} Patterns, none for a source without names
+ */
+function authorDecorations(essaySource) {
+  const names = [...(essaySource.authorNames || []), essaySource.domain]
+    .filter(Boolean)
+    .map((name) => name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"))
+    .join("|");
+  if (!names) return [];
+
+  if (!authorDecorationCache.has(names)) {
+    authorDecorationCache.set(names, [
+      new RegExp(`^\\s*(${names})\\s*[:\\-–—|]\\s*`, "i"),
+      new RegExp(`\\s*[\\-–—|:]\\s*(${names})\\s*$`, "i"),
+      new RegExp(`\\s*\\(by (${names})\\)\\s*$`, "i"),
+    ]);
+  }
+  return authorDecorationCache.get(names);
+}
+
+/**
+ * Remove submitter decorations like "(2004)" or "Paul Graham:" from a title
+ * @param {string} title - HN post title
+ * @param {EssaySource} essaySource - Source of the essay, for author decorations
+ * @returns {string} Title without decorations
+ */
+function stripDecorations(title, essaySource) {
+  return [...TITLE_DECORATIONS, ...authorDecorations(essaySource)].reduce(
+    (result, pattern) => result.replace(pattern, " "),
+    title || ""
+  );
+}
+
+/**
+ * Dice coefficient between two token lists
+ * @param {Array<string>} a - First token list
+ * @param {Array<string>} b - Second token list
+ * @returns {number} Similarity between 0 and 1
+ */
+function diceSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const setB = new Set(b);
+  const shared = new Set(a.filter((token) => setB.has(token))).size;
+  return (2 * shared) / (new Set(a).size + setB.size);
+}
+
+/**
+ * Compare a post URL with the essay URL
+ * @param {Object} hit - Algolia hit
+ * @param {Object} essay - Essay object
+ * @param {Object} urlOptions - Options for canonicalizeUrl
+ * @param {string} domain - Domain of the essay's site
+ * @returns {string} "essay" if it points at the essay, "domain" if it points at
+ *   another page on the essay's domain, "text" if the post text links the essay,
+ *   or "none"
+ */
+function urlEvidence(hit, essay, urlOptions, domain) {
+  const essayUrl =
+    essay.canonical_url || canonicalizeUrl(essay.url, urlOptions);
+  const postUrl = canonicalizeUrl(hit.url, urlOptions);
+
+  if (postUrl) {
+    if (postUrl === essayUrl) {
+      return "essay";
+    }
+    if (domain && postUrl.startsWith(`${domain.toLowerCase()}/`)) {
+      return "domain";
+    }
+  }
+
+  // Text posts ("Ask HN", discussions) may link the essay in their body
+  const linkedUrls = (hit.story_text || "").match(/https?:\/\/[^\s"'<>]+/g);
+  if (
+    linkedUrls &&
+    linkedUrls.some((url) => canonicalizeUrl(url, urlOptions) === essayUrl)
+  ) {
+    return "text";
+  }
+
+  return "none";
+}
+
+/**
+ * Score how likely an Algolia hit is a submission of the given essay
+ * @param {Object} hit - Algolia hit (title, url, story_text, created_at)
+ * @param {Object} essay - Essay object (title, url, canonical_url, domain, published_at)
+ * @param {Object} urlOptions - Options for canonicalizeUrl (see essay source adapters)
+ * @param {EssaySource} essaySource - Source of the essay: its authorNames are
+ *   stripped from post titles, and its domain stands in for essays without one
+ * @returns {Object} { confidence, reason } with confidence between 0 and 1
+ */
+export function scoreHit(hit, essay, urlOptions = {}, essaySource = {}) {
+  const reasons = [];
+  const essayTokens = tokenize(essay.title);
+  const hitTokens = tokenize(stripDecorations(hit.title, essaySource));
+  const exactTitle =
+    essayTokens.length > 0 && essayTokens.join(" ") === hitTokens.join(" ");
+  const similarity = exactTitle ? 1 : diceSimilarity(essayTokens, hitTokens);
+  const shortTitle = essayTokens.length <= 1;
+
+  let confidence;
+  const evidence = urlEvidence(
+    hit,
+    essay,
+    urlOptions,
+    essay.domain || essaySource.domain
+  );
+
+  if (evidence === "essay") {
+    confidence = 0.9 + 0.1 * similarity;
+    reasons.push("URL points to the essay");
+  } else if (evidence === "domain") {
+    // Links to a different page on the same site: almost certainly another essay
+    confidence = 0.1 * similarity;
+    reasons.push("URL points to a different page on the essay's site");
+  } else {
+    confidence = 0.8 * similarity;
+
+    if (evidence === "text") {
+      confidence = Math.max(confidence, 0.7) + 0.15;
+      reasons.push("post text links to the essay");
+    }
+
+    // A one-word title like "Cities" shows up in plenty of unrelated headlines
+    if (shortTitle && evidence !== "text") {
+      confidence *= exactTitle ? 0.7 : 0.4;
+      reasons.push("short essay title without URL evidence");
+    }
+  }
+
+  if (exactTitle) {
+    reasons.push("title matches exactly");
+  } else if (similarity > 0) {
+    reasons.push(`title similarity ${similarity.toFixed(2)}`);
+  } else {
+    reasons.push("title does not match");
+  }
+
+  // Nobody can submit an essay before it was written
+  if (essay.published_at && hit.created_at && evidence !== "essay") {
+    const published = Date.parse(essay.published_at);
+    const created = Date.parse(hit.created_at);
+    if (created < published - PUBLICATION_SLACK_MS) {
+      confidence *= 0.3;
+      reasons.push("posted before the essay was published");
+    }
+  }
+
+  return {
+    confidence: Math.round(Math.min(confidence, 1) * 100) / 100,
+    reason: reasons.join("; "),
+  };
+}
+
+/**
+ * Split scored posts into matches and borderline matches kept for review
+ * @param {Array} scoredPosts - Posts with match_confidence
+ * @param {number} minConfidence - Minimum match confidence for a post to count
+ * @returns {Object} { posts, borderline_posts }
+ */
+export function partitionByConfidence(scoredPosts, minConfidence) {
+  return {
+    posts: scoredPosts.filter((post) => post.match_confidence >= minConfidence),
+    borderline_posts: scoredPosts.filter(
+      (post) =>
+        post.match_confidence < minConfidence &&
+        post.match_confidence >= minConfidence - BORDERLINE_MARGIN
+    ),
+  };
+}
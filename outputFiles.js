@@ -0,0 +1,206 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Where report files go and what they are called. Names come from a
+ * template; a set of files that would overwrite an earlier run's gets a
+ * numeric suffix instead. Each run also writes a pointer file,
+ * <prefix>-latest.json, naming its files, so tools can find the latest
+ * report without guessing from file names.
+ */
+
+export const DEFAULT_NAME_TEMPLATE = "{prefix}-{kind}-{date}";
+
+// Placeholders a name template can use
+export const NAME_PLACEHOLDERS = [
+  "prefix", // pg-essays (pg-essays-partial for partial reports)
+  "kind", // hn-report, summary, report (Markdown), posts, essays or interactive
+  "date", // YYYY-MM-DD (UTC)
+  "time", // HH-MM-SS (UTC)
+  "session", // Session ID
+  "source", // Essay source name
+];
+
+const POINTER_VERSION = 1;
+
+const outputConfig = {
+  dir: ".",
+  template: DEFAULT_NAME_TEMPLATE,
+};
+
+/**
+ * Check a name template
+ * @param {string} template - Name template
+ * @returns {string|null} What is wrong with it, or null if it is fine
+ */
+export function checkNameTemplate(template) {
+  const unknown = (template.match(/\{(\w+)\}/g) || [])
+    .map((placeholder) => placeholder.slice(1, -1))
+    .filter((name) => !NAME_PLACEHOLDERS.includes(name));
+  if (unknown.length > 0) {
+    return `Unknown placeholder {${
+      unknown[0]
+    }} in name template. Use any of: ${NAME_PLACEHOLDERS.map(
+      (name) => `{${name}}`
+    ).join(", ")}`;
+  }
+  if (!template.includes("{kind}")) {
+    return "Name template must include {kind}, or every report file would get the same name";
+  }
+  return null;
+}
+
+/**
+ * Configure where report files are written
+ * @param {Object} options - Output options
+ * @param {string} options.dir - Output directory
+ * @param {string} options.template - File name template, without extension
+ */
+export function configureOutput(options = {}) {
+  if (options.template) {
+    const problem = checkNameTemplate(options.template);
+    if (problem) {
+      throw new Error(problem);
+    }
+  }
+
+  for (const key of ["dir", "template"]) {
+    if (options[key] !== undefined && options[key] !== null) {
+      outputConfig[key] = options[key];
+    }
+  }
+}
+
+/**
+ * Get the current output configuration
+ * @returns {Object} Copy of the output configuration
+ */
+export function getOutputConfig() {
+  return { ...outputConfig };
+}
+
+/**
+ * Keep a value from adding directories or odd characters to a file name
+ * @param {string} value - Placeholder value
+ * @returns {string} Value safe for a file name
+ */
+function fileNamePart(value) {
+  return String(value).replace(/[^\w.-]+/g, "_");
+}
+
+/**
+ * Paths for one run's set of report files. If any of them exists already,
+ * the whole set gets the first free numeric suffix (-2, -3, ...), so the
+ * files of a run keep matching names.
+ * @param {Object} fields - Placeholder values: prefix, session, source
+ * @param {Object} files - Files to name: { name: [kind, extension] }
+ * @returns {Promise<Object>} Paths keyed like files
+ */
+export async function reportPaths(fields, files) {
+  const [date, time] = new Date().toISOString().split(/[T.]/);
+  const values = {
+    date,
+    time: time.replace(/:/g, "-"),
+    session: "no-session",
+    source: "paulgraham",
+    ...fields,
+  };
+
+  const name = (kind, extension, suffix) =>
+    path.join(
+      outputConfig.dir,
+      outputConfig.template.replace(/\{(\w+)\}/g, (match, placeholder) =>
+        fileNamePart(placeholder === "kind" ? kind : values[placeholder])
+      ) + `${suffix}.${extension}`
+    );
+
+  for (let n = 1; ; n++) {
+    const suffix = n === 1 ? "" : `-${n}`;
+    const paths = Object.fromEntries(
+      Object.entries(files).map(([key, [kind, extension]]) => [
+        key,
+        name(kind, extension, suffix),
+      ])
+    );
+
+    let taken = false;
+    for (const filePath of Object.values(paths)) {
+      try {
+        await fs.access(filePath);
+        taken = true;
+        break;
+      } catch (error) {
+        // Free
+      }
+    }
+    if (!taken) {
+      for (const filePath of Object.values(paths)) {
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+      }
+      return paths;
+    }
+  }
+}
+
+/**
+ * Path of the latest-report pointer file for a prefix
+ * @param {string} prefix - Report prefix
+ * @param {string} dir - Output directory
+ * @returns {string} Pointer file path
+ */
+export function latestPointerPath(
+  prefix = "pg-essays",
+  dir = outputConfig.dir
+) {
+  return path.join(dir, `${prefix}-latest.json`);
+}
+
+/**
+ * Point <prefix>-latest.json at a run's report files
+ * @param {string} prefix - Report prefix
+ * @param {Object} report - Report the files were written from
+ * @param {Object} paths - Paths of the report files, keyed by kind of file
+ */
+export async function writeLatestPointer(prefix, report, paths) {
+  const pointerPath = latestPointerPath(prefix);
+  const pointer = {
+    version: POINTER_VERSION,
+    generated_at: report.generated_at,
+    session_id: report.session_id || null,
+    source: report.source ? report.source.name : null,
+    // Relative to the pointer, so the directory can be moved
+    files: Object.fromEntries(
+      Object.entries(paths).map(([key, filePath]) => [
+        key,
+        path.relative(path.dirname(pointerPath), filePath),
+      ])
+    ),
+  };
+  await fs.writeFile(pointerPath, JSON.stringify(pointer, null, 2));
+}
+
+/**
+ * Read the latest-report pointer of a directory
+ * @param {string} dir - Output directory
+ * @param {string} prefix - Report prefix
+ * @returns {Promise<Object|null>} Pointer with file paths resolved against
+ *   the directory, or null if there is no pointer
+ */
+export async function readLatestPointer(
+  dir = outputConfig.dir,
+  prefix = "pg-essays"
+) {
+  const pointerPath = latestPointerPath(prefix, dir);
+  let pointer;
+  try {
+    pointer = JSON.parse(await fs.readFile(pointerPath, "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Could not read ${pointerPath}: ${error.message}`);
+  }
+
+  for (const [key, file] of Object.entries(pointer.files)) {
+    pointer.files[key] = path.join(path.dirname(pointerPath), file);
+  }
+  return pointer;
+}
@@ -0,0 +1,301 @@
+import fs from "fs/promises";
+import { getFirstHnPostDate } from "./dates.js";
+import { essayKey } from "./essayKeys.js";
+import { getHackerNewsItem } from "./searchHackerNews.js";
+
+/**
+ * Manual curation of HN post matches. overrides.json looks like:
+ *
+ * {
+ *   "version": 1,
+ *   "overrides": [
+ *     { "action": "include", "item_id": "123", "essay": "startups", "note": "..." },
+ *     { "action": "exclude", "item_id": "456", "note": "unrelated story" },
+ *     { "action": "reassign", "item_id": "789", "essay": "wealth" }
+ *   ]
+ * }
+ *
+ * "essay" can be an essay slug, URL or title.
+ */
+
+export const OVERRIDES_FILE = "overrides.json";
+
+const OVERRIDES_VERSION = 1;
+
+const ACTIONS = ["include", "exclude", "reassign"];
+
+/**
+ * Load and validate an overrides file
+ * @param {string} overridesPath - Path to the overrides file
+ * @param {boolean} required - Throw if the file doesn't exist
+ * @returns {Promise<Array|null>} Override entries, or null if there is no file
+ */
+export async function loadOverrides(overridesPath = OVERRIDES_FILE, required) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(overridesPath, "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT" && !required) {
+      return null;
+    }
+    throw new Error(`Could not read ${overridesPath}: ${error.message}`);
+  }
+
+  if (data.version !== OVERRIDES_VERSION) {
+    throw new Error(
+      `${overridesPath}: unsupported version ${data.version} (expected ${OVERRIDES_VERSION})`
+    );
+  }
+
+  const overrides = data.overrides || [];
+  overrides.forEach((entry, index) => {
+    if (!ACTIONS.includes(entry.action)) {
+      throw new Error(
+        `${overridesPath}: entry ${index} has unknown action "${entry.action}"`
+      );
+    }
+    if (!entry.item_id) {
+      throw new Error(`${overridesPath}: entry ${index} is missing item_id`);
+    }
+    if (entry.action !== "exclude" && !entry.essay) {
+      throw new Error(
+        `${overridesPath}: entry ${index} (${entry.action}) is missing essay`
+      );
+    }
+  });
+
+  return overrides;
+}
+
+/**
+ * Find the result for an essay referenced by slug, URL or title
+ * @param {Object} results - Essay results
+ * @param {string} ref - Essay slug, URL or title
+ * @returns {Object|undefined} Matching result
+ */
+function findEssayResult(results, ref) {
+  const needle = String(ref).toLowerCase();
+  return Object.values(results).find(
+    ({ essay }) =>
+      (essay.slug && essay.slug.toLowerCase() === needle) ||
+      essay.url.toLowerCase() === needle ||
+      essay.title.toLowerCase() === needle
+  );
+}
+
+/**
+ * Remove a post from every essay's matched and borderline posts
+ * @param {Object} results - Essay results keyed by essay key
+ * @param {string} itemId - HN item ID
+ * @returns {Object|null} { post, result, origins } where result is the first
+ *   essay it was matched to and origins lists every place it was taken from
+ */
+function takePost(results, itemId) {
+  let taken = null;
+  const origins = [];
+  for (const [key, result] of Object.entries(results)) {
+    for (const list of ["hn_posts", "borderline_posts"]) {
+      const posts = result[list] || [];
+      const index = posts.findIndex((post) => String(post.id) === itemId);
+      if (index !== -1) {
+        const [post] = posts.splice(index, 1);
+        origins.push({ essay_key: key, list });
+        // Prefer an actual match over a borderline one
+        if (!taken || (list === "hn_posts" && taken.list !== "hn_posts")) {
+          taken = { post, result, list };
+        }
+      }
+    }
+  }
+  return taken && { ...taken, origins };
+}
+
+/**
+ * Build a post object from the official HN API
+ * @param {string} itemId - HN item ID
+ * @param {string} itemApiUrl - HN item API base URL
+ * @returns {Promise<Object|null>} Post in the same shape as search results
+ */
+async function fetchPost(itemId, itemApiUrl) {
+  const item = await getHackerNewsItem(itemId, itemApiUrl);
+  if (!item) return null;
+
+  return {
+    id: String(item.id),
+    title: item.title,
+    url: item.url,
+    original_url: item.url || null,
+    hn_url: `https://news.ycombinator.com/item?id=${item.id}`,
+    points: item.score || 0,
+    num_comments: item.descendants || 0,
+    created_at: new Date(item.time * 1000).toISOString(),
+    author: item.by,
+  };
+}
+
+/**
+ * Recompute the summary fields of a result after its posts changed
+ * @param {Object} result - Essay result (modified in place)
+ */
+function refreshResult(result) {
+  result.hn_posts.sort((a, b) => b.points - a.points);
+  result.total_posts = result.hn_posts.length;
+  result.max_points =
+    result.hn_posts.length > 0
+      ? Math.max(...result.hn_posts.map((p) => p.points))
+      : 0;
+  result.first_hn_post_at = getFirstHnPostDate(result.hn_posts);
+}
+
+/**
+ * Apply manual overrides to search results. Works on a copy, so the
+ * session's saved results keep the raw search output.
+ *
+ * Overridden posts get an `override` field ({ action, note, from, origins }),
+ * where origins lists the essays and lists the search had put the post in,
+ * so undoOverrides can put it back. Excluded posts are moved to the essay's
+ * `excluded_posts`.
+ *
+ * @param {Object} results - Essay results keyed as in ProgressTracker
+ * @param {Array} overrides - Entries from loadOverrides
+ * @param {Object} options - Override options
+ * @param {string} options.itemApiUrl - HN item API base URL, for included
+ *   posts the search never found
+ * @returns {Promise<Object>} { results, applied, skipped } with the curated results
+ */
+export async function applyOverrides(results, overrides, options = {}) {
+  const curated = structuredClone(results);
+  const touched = new Set();
+  const skipped = [];
+  let applied = 0;
+
+  for (const entry of overrides) {
+    const itemId = String(entry.item_id);
+    const override = { action: entry.action, note: entry.note || null };
+
+    if (entry.action === "exclude") {
+      const taken = takePost(curated, itemId);
+      if (!taken) {
+        skipped.push({ ...entry, reason: "post not matched to any essay" });
+        continue;
+      }
+      taken.result.excluded_posts = taken.result.excluded_posts || [];
+      taken.result.excluded_posts.push({
+        ...taken.post,
+        override: { ...override, origins: taken.origins },
+      });
+      touched.add(taken.result);
+      applied++;
+      continue;
+    }
+
+    const target = findEssayResult(curated, entry.essay);
+    if (!target) {
+      skipped.push({ ...entry, reason: `essay "${entry.essay}" not found` });
+      continue;
+    }
+
+    // include keeps the post wherever else it matched; reassign moves it
+    let post;
+    if (entry.action === "reassign") {
+      const taken = takePost(curated, itemId);
+      if (taken) {
+        post = taken.post;
+        override.from = taken.result.essay.title;
+        override.origins = taken.origins;
+        touched.add(taken.result);
+      }
+    } else {
+      const existing = target.hn_posts.find((p) => String(p.id) === itemId);
+      const borderline = (target.borderline_posts || []).findIndex(
+        (p) => String(p.id) === itemId
+      );
+      const targetKey = essayKey(target.essay);
+      if (existing) {
+        target.hn_posts.splice(target.hn_posts.indexOf(existing), 1);
+        post = existing;
+        override.origins = [{ essay_key: targetKey, list: "hn_posts" }];
+      } else if (borderline !== -1) {
+        [post] = target.borderline_posts.splice(borderline, 1);
+        override.origins = [{ essay_key: targetKey, list: "borderline_posts" }];
+      }
+    }
+
+    if (!post) {
+      post = await fetchPost(itemId, options.itemApiUrl);
+      override.origins = [];
+    }
+    if (!post) {
+      skipped.push({ ...entry, reason: "HN item could not be fetched" });
+      continue;
+    }
+
+    target.hn_posts.push({ ...post, override });
+    touched.add(target);
+    applied++;
+  }
+
+  touched.forEach(refreshResult);
+
+  return { results: curated, applied, skipped };
+}
+
+/**
+ * Where an overridden post came from, for posts in reports written before
+ * overrides recorded it: excluded and included posts stay with the essay
+ * they are listed under, reassigned posts go back to the essay in `from`
+ * @param {Object} results - Essay results keyed by essay key
+ * @param {string} key - Key of the essay the post is listed under
+ * @param {Object} override - The post's override field
+ * @returns {Array<Object>} Origins: { essay_key, list }
+ */
+function legacyOrigins(results, key, override) {
+  if (override.action === "reassign") {
+    const from = override.from && findEssayResult(results, override.from);
+    return from ? [{ essay_key: essayKey(from.essay), list: "hn_posts" }] : [];
+  }
+  return [{ essay_key: key, list: "hn_posts" }];
+}
+
+/**
+ * Undo the overrides applied to results, giving back the search results they
+ * were applied to. Reports hold curated results, so runs that build on a
+ * report undo them and apply the current overrides file afresh; otherwise
+ * entries removed from the file would stay applied.
+ * @param {Object} results - Essay results keyed by essay key, possibly curated
+ * @returns {Object} Copy of the results without overrides
+ */
+export function undoOverrides(results) {
+  const raw = structuredClone(results);
+  const touched = new Set();
+
+  // Take every overridden post out first, then put them back where the
+  // search had them
+  const overridden = [];
+  for (const [key, result] of Object.entries(raw)) {
+    const posts = [
+      ...result.hn_posts.filter((post) => post.override),
+      ...(result.excluded_posts || []),
+    ];
+    if (posts.length === 0) continue;
+    result.hn_posts = result.hn_posts.filter((post) => !post.override);
+    delete result.excluded_posts;
+    touched.add(result);
+    posts.forEach((post) => overridden.push({ key, post }));
+  }
+
+  for (const { key, post } of overridden) {
+    const { override, ...plain } = post;
+    const origins = override.origins || legacyOrigins(raw, key, override);
+    for (const origin of origins) {
+      const result = raw[origin.essay_key];
+      if (!result) continue;
+      result[origin.list] = result[origin.list] || [];
+      result[origin.list].push({ ...plain });
+      touched.add(result);
+    }
+  }
+
+  touched.forEach(refreshResult);
+  return raw;
+}
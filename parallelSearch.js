@@ -1,146 +1,292 @@
-import { searchHackerNewsForEssay } from "./searchHackerNews.js";
+import {
+  createDiscussionSources,
+  searchEssayDiscussions,
+} from "./discussionSources.js";
+import { describeError } from "./httpCache.js";
+import { ProgressDisplay } from "./progressDisplay.js";
+import { getSchedulerStats } from "./requestScheduler.js";
+
+// Re-evaluate concurrency after this many essays finish
+const ADJUST_EVERY = 5;
+
+// Essays listed under "top finds" in the progress display
+const TOP_FINDS = 3;
+
+// Error code of requests cancelled by the request scheduler
+const CANCELLED = "ERR_CANCELED";
+
+/**
+ * Search one essay and record the result in the tracker
+ * @param {Object} essay - Essay to search
+ * @param {ProgressTracker} tracker - Progress tracker instance
+ * @param {Array} discussionSources - Sources to search
+ * @param {Object} options - Search options
+ * @returns {Promise<Object>} { essay, duration, success, cancelled }
+ */
+async function processEssay(essay, tracker, discussionSources, options) {
+  const startTime = Date.now();
+  try {
+    const { posts, ...details } = await searchEssayDiscussions(
+      essay,
+      discussionSources,
+      options
+    );
+
+    // A search cut short by a shutdown stays unprocessed, so resuming
+    // searches the essay again
+    if (details.search_errors.some((error) => error.code === CANCELLED)) {
+      return {
+        essay,
+        duration: Date.now() - startTime,
+        success: false,
+        cancelled: true,
+      };
+    }
+
+    // Save result immediately
+    await tracker.markEssayProcessed(essay, posts, details);
+
+    return {
+      essay,
+      duration: Date.now() - startTime,
+      success: details.search_status !== "failed",
+    };
+  } catch (error) {
+    if (error.code === CANCELLED) {
+      return {
+        essay,
+        duration: Date.now() - startTime,
+        success: false,
+        cancelled: true,
+      };
+    }
+    console.error(`❌ Error processing ${essay.title}:`, error.message);
+
+    // Record the failure so the report doesn't mistake it for "not on HN";
+    // --retry-failed searches it again on resume
+    await tracker.markEssayProcessed(essay, [], {
+      search_status: "failed",
+      search_errors: [describeError(error)],
+    });
+
+    return { essay, duration: Date.now() - startTime, success: false };
+  }
+}
 
 /**
- * Process essays in parallel batches with controlled concurrency
+ * Process essays with a pool of workers: a new essay starts as soon as one
+ * finishes. The number of workers adapts to the request latency and error
+ * rate seen by the request scheduler, which also does the rate limiting.
  * @param {Array} essays - Essays to process
  * @param {ProgressTracker} tracker - Progress tracker instance
- * @param {number} batchSize - Number of essays to process in parallel
- * @param {number} delayBetweenBatches - Delay between batches in ms
+ * @param {number} concurrency - Number of essays to search at once to start with
+ * @param {Object} searchOptions - Options for searchHackerNewsForEssay, plus
+ *   discussionSources: the sources to search (default: Hacker News only),
+ *   progress: show a progress display instead of a line per essay, and
+ *   signal: an AbortSignal that stops starting new essays (essays in progress
+ *   finish, unless their requests are cancelled through the scheduler)
  * @returns {Promise<Object>} Results object
  */
 export async function processEssaysInParallel(
   essays,
   tracker,
-  batchSize = 5,
-  delayBetweenBatches = 1000
+  concurrency = 5,
+  searchOptions = {}
 ) {
+  const {
+    discussionSources = createDiscussionSources(),
+    progress = false,
+    signal = null,
+    ...options
+  } = searchOptions;
+
+  const queue = tracker.getRemainingEssays();
+  // Adapt between the requested concurrency's floor and twice its value, so
+  // a low --batch-size stays gentle
+  const minConcurrency = Math.min(concurrency, 2);
+  const maxConcurrency = concurrency * 2;
   console.log(
-    `🚀 Starting parallel processing: ${essays.length} essays, batch size: ${batchSize}`
+    `🚀 Starting worker pool: ${queue.length} of ${essays.length} essays remaining, concurrency ${concurrency} (adaptive, up to ${maxConcurrency})`
   );
 
-  const remainingEssays = tracker.getRemainingEssays();
-  console.log(`📋 Processing ${remainingEssays.length} remaining essays`);
+  const startTime = Date.now();
+  let limit = concurrency;
+  let running = 0;
+  let finished = 0;
+  let failed = 0;
+  let cancelled = 0;
+  let minLimit = limit;
+  let maxLimit = limit;
+  let limitTime = 0; // concurrency integrated over time, for the average
+  let lastChange = startTime;
+  let lastStats = getSchedulerStats();
+  const inFlight = new Set();
 
-  // Process in batches to avoid overwhelming the API
-  for (let i = 0; i < remainingEssays.length; i += batchSize) {
-    const batch = remainingEssays.slice(i, i + batchSize);
-    const batchNum = Math.floor(i / batchSize) + 1;
-    const totalBatches = Math.ceil(remainingEssays.length / batchSize);
+  const progressState = () => {
+    const { processed, total } = tracker.getStats();
+    return {
+      processed,
+      total,
+      // Wall-clock time per finished essay already accounts for concurrency
+      eta:
+        finished > 0
+          ? estimateTimeRemaining(tracker, (Date.now() - startTime) / finished)
+          : "-",
+      concurrency: limit,
+      inFlight: [...inFlight].map((essay) => essay.title),
+      failed,
+      requests: getSchedulerStats(),
+      topFinds: topFinds(tracker.getResults(), TOP_FINDS),
+    };
+  };
 
-    console.log(
-      `\n🔄 Processing batch ${batchNum}/${totalBatches} (${batch.length} essays)`
-    );
+  const adjust = () => {
+    const current = getSchedulerStats();
+    const responses = current.responses - lastStats.responses;
+    const requests = current.requests - lastStats.requests;
+    const avgLatency =
+      responses > 0
+        ? (current.latencyTotal - lastStats.latencyTotal) / responses
+        : 0;
+    const errorRate =
+      requests > 0
+        ? (current.retries +
+            current.errors -
+            lastStats.retries -
+            lastStats.errors) /
+          requests
+        : 0;
+    lastStats = current;
 
-    // Process batch in parallel
-    const batchPromises = batch.map(async (essay) => {
-      try {
-        const startTime = Date.now();
-        const posts = await searchHackerNewsForEssay(essay);
-        const duration = Date.now() - startTime;
-
-        // Save result immediately
-        await tracker.markEssayProcessed(essay, posts);
-
-        return {
-          essay,
-          posts,
-          duration,
-          success: true,
-        };
-      } catch (error) {
-        console.error(`❌ Error processing ${essay.title}:`, error.message);
-
-        // Save empty result for failed essays so we don't retry them
-        await tracker.markEssayProcessed(essay, []);
-
-        return {
-          essay,
-          posts: [],
-          error: error.message,
-          success: false,
-        };
-      }
-    });
-
-    // Wait for batch to complete
-    const batchResults = await Promise.all(batchPromises);
-
-    // Log batch summary
-    const successful = batchResults.filter((r) => r.success).length;
-    const avgDuration =
-      batchResults
-        .filter((r) => r.duration)
-        .reduce((sum, r) => sum + r.duration, 0) / successful;
-
-    console.log(
-      `✅ Batch ${batchNum} complete: ${successful}/${
-        batch.length
-      } successful, avg ${avgDuration.toFixed(0)}ms per search`
+    const next = adaptiveBatchSize(
+      avgLatency,
+      limit,
+      errorRate,
+      maxConcurrency,
+      minConcurrency
     );
+    if (next !== limit) {
+      console.log(
+        `⚙️ Concurrency ${limit} → ${next} (avg latency ${avgLatency.toFixed(
+          0
+        )}ms, error rate ${(errorRate * 100).toFixed(0)}%)`
+      );
+      const now = Date.now();
+      limitTime += limit * (now - lastChange);
+      lastChange = now;
+      limit = next;
+      minLimit = Math.min(minLimit, limit);
+      maxLimit = Math.max(maxLimit, limit);
+    }
+  };
 
-    // Show progress
-    const stats = tracker.getStats();
-    console.log(
-      `📊 Overall progress: ${stats.processed}/${stats.total} (${stats.percentage}%)`
-    );
+  const display = progress ? new ProgressDisplay(progressState) : null;
+  if (display) {
+    tracker.quiet = true;
+    display.start();
+  }
 
-    // Delay between batches to be respectful to APIs
-    if (i + batchSize < remainingEssays.length) {
-      console.log(`⏳ Waiting ${delayBetweenBatches}ms before next batch...`);
-      await new Promise((resolve) => setTimeout(resolve, delayBetweenBatches));
-    }
+  await new Promise((resolve) => {
+    const launch = () => {
+      const stopped = signal && signal.aborted;
+      while (!stopped && running < limit && queue.length > 0) {
+        const essay = queue.shift();
+        running++;
+        inFlight.add(essay);
+        processEssay(essay, tracker, discussionSources, options)
+          .catch((error) => {
+            // Recording the result failed (e.g. a disk write error). The
+            // essay counts as failed and the pool carries on; if the saved
+            // session lacks it, resuming searches it again.
+            console.error(
+              `❌ Could not record the result for ${essay.title}:`,
+              error.message
+            );
+            return { essay, success: false };
+          })
+          .then((result) => {
+            running--;
+            inFlight.delete(essay);
+            if (result.cancelled) {
+              cancelled++;
+            } else {
+              finished++;
+              if (!result.success) failed++;
+              if (finished % ADJUST_EVERY === 0) adjust();
+            }
+            launch();
+          });
+      }
+      if (running === 0 && (stopped || queue.length === 0)) {
+        resolve();
+      }
+    };
+    launch();
+  });
+
+  if (display) {
+    display.stop();
+    tracker.quiet = false;
   }
 
+  const endTime = Date.now();
+  limitTime += limit * (endTime - lastChange);
+  const elapsed = endTime - startTime;
+  console.log(
+    `🏁 Worker pool finished ${finished} essays (${failed} failed${
+      cancelled > 0 ? `, ${cancelled} cancelled` : ""
+    }) in ${(elapsed / 1000).toFixed(
+      1
+    )}s; concurrency started at ${concurrency}, ended at ${limit} (range ${minLimit}-${maxLimit}, average ${(
+      limitTime / Math.max(elapsed, 1)
+    ).toFixed(1)})`
+  );
+
   return tracker.getResults();
 }
 
 /**
- * Process a single batch of essays with error handling
- * @param {Array} essays - Batch of essays to process
- * @param {ProgressTracker} tracker - Progress tracker
- * @returns {Promise<Array>} Batch results
+ * Essays with the most points on a single post so far
+ * @param {Object} results - Results keyed by essay title
+ * @param {number} count - Number of essays to return
+ * @returns {Array} [{ title, points }], highest first
  */
-async function processBatch(essays, tracker) {
-  const promises = essays.map(async (essay, index) => {
-    try {
-      // Add a small stagger to avoid hitting rate limits
-      await new Promise((resolve) => setTimeout(resolve, index * 100));
-
-      console.log(`🔍 Searching for: ${essay.title}`);
-      const posts = await searchHackerNewsForEssay(essay);
-
-      if (posts.length > 0) {
-        const maxPoints = Math.max(...posts.map((p) => p.points));
-        console.log(
-          `  ✅ Found ${posts.length} posts, highest: ${maxPoints} points`
-        );
-      } else {
-        console.log(`  ⭕ No posts found`);
-      }
-
-      return { essay, posts, success: true };
-    } catch (error) {
-      console.error(`  ❌ Failed: ${error.message}`);
-      return { essay, posts: [], success: false, error: error.message };
-    }
-  });
-
-  return await Promise.all(promises);
+function topFinds(results, count) {
+  return Object.values(results)
+    .filter((result) => result.max_points > 0)
+    .sort((a, b) => b.max_points - a.max_points)
+    .slice(0, count)
+    .map((result) => ({
+      title: result.essay.title,
+      points: result.max_points,
+    }));
 }
 
 /**
  * Adaptive batch size based on API performance
  * @param {number} avgResponseTime - Average response time in ms
  * @param {number} currentBatchSize - Current batch size
+ * @param {number} errorRate - Share of recent requests that failed or were retried
+ * @param {number} maxBatchSize - Upper bound for the batch size
+ * @param {number} minBatchSize - Lower bound for the batch size
  * @returns {number} Suggested batch size
  */
-export function adaptiveBatchSize(avgResponseTime, currentBatchSize) {
-  if (avgResponseTime < 500) {
+export function adaptiveBatchSize(
+  avgResponseTime,
+  currentBatchSize,
+  errorRate = 0,
+  maxBatchSize = 10,
+  minBatchSize = 2
+) {
+  if (errorRate > 0.1) {
+    // The API is pushing back, halve the load
+    return Math.max(Math.floor(currentBatchSize / 2), minBatchSize);
+  } else if (avgResponseTime < 500) {
     // Fast responses, can increase batch size
-    return Math.min(currentBatchSize + 1, 10);
+    return Math.min(currentBatchSize + 1, maxBatchSize);
   } else if (avgResponseTime > 2000) {
     // Slow responses, decrease batch size
-    return Math.max(currentBatchSize - 1, 2);
+    return Math.max(currentBatchSize - 1, minBatchSize);
   }
   return currentBatchSize;
 }
@@ -0,0 +1,168 @@
+/**
+ * Live progress view for the search phase. On a TTY it redraws a small
+ * dashboard in place and prints other console output above it; otherwise
+ * (CI logs, redirected output) it prints one plain status line periodically.
+ *
+ * The display only renders: the caller supplies a function returning the
+ * current state:
+ * { processed, total, eta, concurrency, inFlight, failed, requests, topFinds }
+ */
+export class ProgressDisplay {
+  /**
+   * @param {function(): Object} getState - Returns the state to render
+   * @param {Object} options - Display options
+   * @param {Object} options.stream - Output stream (default: process.stdout)
+   * @param {number} options.interval - Redraw interval in ms (default: 250 on a
+   *   TTY, 10000 otherwise)
+   */
+  constructor(getState, options = {}) {
+    this.getState = getState;
+    this.stream = options.stream || process.stdout;
+    this.tty = Boolean(this.stream.isTTY);
+    this.interval = options.interval || (this.tty ? 250 : 10000);
+    this.timer = null;
+    this.drawnLines = 0;
+    this.console = null;
+  }
+
+  /**
+   * Start rendering. On a TTY, console output is routed above the dashboard
+   * until stop() is called.
+   */
+  start() {
+    if (this.tty) {
+      this.console = {
+        log: console.log,
+        warn: console.warn,
+        error: console.error,
+      };
+      for (const method of ["log", "warn", "error"]) {
+        console[method] = (...args) => {
+          this.clear();
+          this.console[method](...args);
+          this.draw();
+        };
+      }
+      this.draw();
+    }
+
+    this.timer = setInterval(() => {
+      if (this.tty) {
+        this.clear();
+        this.draw();
+      } else {
+        this.stream.write(`${this.statusLine()}\n`);
+      }
+    }, this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop rendering, leaving the final state on screen
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    if (this.tty) {
+      this.clear();
+      Object.assign(console, this.console);
+      this.console = null;
+    }
+    this.stream.write(`${this.statusLine()}\n`);
+  }
+
+  /**
+   * Erase the dashboard lines drawn last time
+   */
+  clear() {
+    if (this.drawnLines > 0) {
+      // Move to the start of the first dashboard line and clear to the end
+      this.stream.write(`\x1b[${this.drawnLines}F\x1b[J`);
+      this.drawnLines = 0;
+    }
+  }
+
+  /**
+   * Draw the dashboard below the cursor
+   */
+  draw() {
+    const width = this.stream.columns || 80;
+    const lines = this.dashboardLines().map((line) =>
+      // Keep every line on one terminal row, or clear() loses count. The
+      // leading emoji is two columns wide.
+      [...line].length > width - 1
+        ? [...line].slice(0, width - 2).join("") + "…"
+        : line
+    );
+    this.stream.write(`${lines.join("\n")}\n`);
+    this.drawnLines = lines.length;
+  }
+
+  /**
+   * Lines of the TTY dashboard
+   * @returns {Array<string>} Lines to draw
+   */
+  dashboardLines() {
+    const state = this.getState();
+    const lines = [
+      "",
+      `🔍 ${progressBar(state.processed, state.total, 30)} ${state.processed}/${
+        state.total
+      } (${percentage(state.processed, state.total)}%)  ETA ${state.eta}`,
+      `⚙️  Concurrency ${state.concurrency}  📡 ${state.requests.requests} requests, ${state.requests.retries} retries, ${state.requests.errors} errors  ❌ ${state.failed} failed searches`,
+      `⏳ In flight: ${
+        state.inFlight.length > 0 ? state.inFlight.join(", ") : "-"
+      }`,
+    ];
+
+    if (state.topFinds.length > 0) {
+      lines.push("🏆 Top finds so far:");
+      state.topFinds.forEach((find, index) => {
+        lines.push(`   ${index + 1}. ${find.title} (${find.points} pts)`);
+      });
+    }
+    return lines;
+  }
+
+  /**
+   * Single-line status for non-TTY output
+   * @returns {string} Status line
+   */
+  statusLine() {
+    const state = this.getState();
+    const top = state.topFinds[0];
+    return `📊 ${state.processed}/${state.total} (${percentage(
+      state.processed,
+      state.total
+    )}%) | ETA ${state.eta} | concurrency ${state.concurrency} | ${
+      state.inFlight.length
+    } in flight | ${state.requests.requests} requests, ${
+      state.requests.errors
+    } errors | ${state.failed} failed${
+      top ? ` | top: ${top.title} (${top.points} pts)` : ""
+    }`;
+  }
+}
+
+/**
+ * Render a progress bar
+ * @param {number} done - Completed items
+ * @param {number} total - Total items
+ * @param {number} width - Bar width in characters
+ * @returns {string} Progress bar such as "[█████░░░░░]"
+ */
+function progressBar(done, total, width) {
+  const filled = total > 0 ? Math.round((done / total) * width) : 0;
+  return `[${"█".repeat(filled)}${"░".repeat(width - filled)}]`;
+}
+
+/**
+ * Percentage with one decimal
+ * @param {number} done - Completed items
+ * @param {number} total - Total items
+ * @returns {string} Percentage
+ */
+function percentage(done, total) {
+  return total > 0 ? ((done / total) * 100).toFixed(1) : "0.0";
+}
@@ -1,35 +1,79 @@
 import fs from "fs/promises";
+import { getFirstHnPostDate } from "./dates.js";
+import { essayKey, qualifySessionSlugs } from "./essayKeys.js";
+import {
+  createJournalStorage,
+  createSessionStorage,
+  DEFAULT_STORAGE,
+  getSessionsDir,
+  migrateLegacySessions,
+  updateSessionIndex,
+} from "./sessionStorage.js";
+
+const STATUS_ICONS = { ok: "✅", partial: "⚠️", failed: "❌" };
 
 /**
  * Progress tracker that saves state to disk for crash recovery
  */
 export class ProgressTracker {
-  constructor(sessionId = null) {
+  /**
+   * @param {string} sessionId - Session ID (default: a new one from the current time)
+   * @param {string} storage - Storage backend, json or journal (see sessionStorage.js)
+   */
+  constructor(sessionId = null, storage = DEFAULT_STORAGE) {
     this.sessionId =
       sessionId || new Date().toISOString().replace(/[:.]/g, "-");
-    this.progressFile = `progress-${this.sessionId}.json`;
-    this.resultsFile = `results-${this.sessionId}.json`;
+    this.useStorage(storage);
     this.state = {
       sessionId: this.sessionId,
       startTime: new Date().toISOString(),
+      storage,
+      keyedBy: "slug",
       essays: [],
       processedEssays: [],
       results: {},
       currentIndex: 0,
       completed: false,
     };
+    // Suppress the per-essay log line, e.g. while a progress display is shown
+    this.quiet = false;
+    // Writes run one at a time, in order, so parallel searches can't interleave them
+    this.writeQueue = Promise.resolve();
   }
 
   /**
-   * Load existing progress from disk
+   * Switch to a storage backend
+   * @param {string} name - Backend name
+   */
+  useStorage(name) {
+    this.storage = createSessionStorage(name, this.sessionId);
+    this.progressFile = this.storage.progressFile;
+    this.resultsFile = this.storage.resultsFile;
+  }
+
+  /**
+   * Load existing progress from disk. A session keeps the storage backend it
+   * was started with; sessions saved before backends existed switch to the
+   * one given here.
    * @param {string} sessionId - Session ID to resume
+   * @param {string} storage - Storage backend for sessions that don't record one
    * @returns {Promise<ProgressTracker>} Loaded progress tracker
    */
-  static async loadSession(sessionId) {
-    const tracker = new ProgressTracker(sessionId);
+  static async loadSession(sessionId, storage = DEFAULT_STORAGE) {
+    const tracker = new ProgressTracker(sessionId, storage);
     try {
-      const progressData = await fs.readFile(tracker.progressFile, "utf-8");
-      tracker.state = JSON.parse(progressData);
+      await migrateLegacySessions();
+      // Reading through the journal works for every session: without a
+      // journal file it is just the snapshot
+      tracker.state = await createJournalStorage(sessionId).load();
+      tracker.state.storage = tracker.state.storage || storage;
+      tracker.useStorage(tracker.state.storage);
+      if (qualifySessionSlugs(tracker.state)) {
+        console.log(
+          `🔑 Gave essays sharing a slug in session ${sessionId} distinct keys`
+        );
+        await tracker.saveProgress();
+      }
       console.log(
         `📂 Resumed session ${sessionId} - ${tracker.state.processedEssays.length}/${tracker.state.essays.length} essays processed`
       );
@@ -45,12 +89,14 @@ export class ProgressTracker {
    */
   static async listSessions() {
     try {
-      const files = await fs.readdir(".");
+      await migrateLegacySessions();
+      const files = await fs.readdir(getSessionsDir());
       const progressFiles = files
         .filter(
           (file) => file.startsWith("progress-") && file.endsWith(".json")
         )
-        .map((file) => file.replace("progress-", "").replace(".json", ""));
+        .map((file) => file.replace("progress-", "").replace(".json", ""))
+        .sort();
       return progressFiles;
     } catch (error) {
       return [];
@@ -60,68 +106,173 @@ export class ProgressTracker {
   /**
    * Initialize with essays list
    * @param {Array} essays - List of essays to process
+   * @param {string} source - Essay source adapter name or definition path
+   * @param {Object} config - Options the session was started with, for the
+   *   sessions index
    */
-  async initializeEssays(essays) {
+  async initializeEssays(essays, source = null, config = null) {
     this.state.essays = essays;
+    if (source) {
+      this.state.source = source;
+    }
+    if (config) {
+      this.state.config = config;
+    }
     this.state.totalEssays = essays.length;
     await this.saveProgress();
+    await this.updateIndex({ status: "in_progress" });
     console.log(`📝 Initialized progress tracker with ${essays.length} essays`);
   }
 
   /**
-   * Save current progress to disk
+   * Record the manifest of the run working on this session. When a resumed
+   * run differs from the session's manifest, the differences are kept in the
+   * manifest's changes.
+   * @param {Object} manifest - Run manifest (see manifest.js)
+   * @param {Array<Object>} differences - Differences from the saved manifest
    */
-  async saveProgress() {
-    try {
-      await fs.writeFile(
-        this.progressFile,
-        JSON.stringify(this.state, null, 2)
-      );
-    } catch (error) {
-      console.error("❌ Failed to save progress:", error.message);
+  async recordManifest(manifest, differences = []) {
+    const saved = this.state.manifest || {};
+    const changes = [...(saved.changes || [])];
+    if (differences.length > 0) {
+      changes.push({ resumed_at: new Date().toISOString(), differences });
     }
+    this.state.manifest = { ...manifest, changes };
+    await this.saveProgress();
   }
 
   /**
-   * Save results incrementally
+   * Update this session's entry in the sessions index with its current
+   * progress
+   * @param {Object} fields - Extra fields to set, e.g. status
    */
-  async saveResults() {
+  async updateIndex(fields = {}) {
+    const stats = this.getStats();
     try {
-      await fs.writeFile(
-        this.resultsFile,
-        JSON.stringify(this.state.results, null, 2)
-      );
+      await updateSessionIndex(this.sessionId, {
+        started_at: this.state.startTime,
+        source: this.state.source || null,
+        storage: this.state.storage,
+        config: this.state.config || null,
+        processed: stats.processed,
+        total: stats.total,
+        failed: this.getFailedEssays().length,
+        ...fields,
+      });
     } catch (error) {
-      console.error("❌ Failed to save results:", error.message);
+      console.error("❌ Failed to update the sessions index:", error.message);
     }
   }
 
+  /**
+   * Queue a write behind the writes already pending
+   * @param {function(): Promise} write - Performs the write when its turn
+   *   comes, so snapshots save the latest state
+   * @param {string} label - What is being saved, for error messages
+   * @returns {Promise} Resolves once the write is done (or has failed)
+   */
+  queueWrite(write, label) {
+    this.writeQueue = this.writeQueue.then(async () => {
+      try {
+        await write();
+      } catch (error) {
+        console.error(`❌ Failed to save ${label}:`, error.message);
+      }
+    });
+    return this.writeQueue;
+  }
+
+  /**
+   * Save a snapshot of the progress and results to disk
+   */
+  async saveProgress() {
+    await this.queueWrite(() => this.storage.save(this.state), "progress");
+    await this.updateIndex();
+  }
+
+  /**
+   * Save results, e.g. after adding thread analytics to them
+   */
+  async saveResults() {
+    await this.saveProgress();
+  }
+
+  /**
+   * Wait for pending writes, then save a snapshot
+   */
+  async flush() {
+    await this.saveProgress();
+  }
+
+  /**
+   * Save the session after the run was stopped before finishing
+   */
+  async markInterrupted() {
+    await this.flush();
+    await this.updateIndex({ status: "interrupted" });
+  }
+
   /**
    * Mark an essay as processed and save result
    * @param {Object} essay - Essay object
    * @param {Array} hnPosts - Hacker News posts found
+   * @param {Object} details - Extra fields to store with the result (e.g. borderline_posts,
+   *   search_status and search_errors)
    */
-  async markEssayProcessed(essay, hnPosts) {
-    this.state.processedEssays.push(essay.title);
-    this.state.results[essay.title] = {
+  async markEssayProcessed(essay, hnPosts, details = {}) {
+    const result = {
       essay: essay,
       hn_posts: hnPosts,
+      search_status: "ok",
       total_posts: hnPosts.length,
       max_points:
         hnPosts.length > 0 ? Math.max(...hnPosts.map((p) => p.points)) : 0,
+      first_hn_post_at: getFirstHnPostDate(hnPosts),
+      ...details,
       processed_at: new Date().toISOString(),
     };
+    const key = essayKey(essay);
+    this.state.processedEssays.push(key);
+    this.state.results[key] = result;
     this.state.currentIndex++;
 
-    // Save both progress and results
-    await Promise.all([this.saveProgress(), this.saveResults()]);
+    await this.queueWrite(
+      () => this.storage.append(key, result, this.state),
+      "progress"
+    );
+    if (this.quiet) return;
 
     const percentage = (
       (this.state.currentIndex / this.state.totalEssays) *
       100
     ).toFixed(1);
+    const status = result.search_status;
+    console.log(
+      `${STATUS_ICONS[status]} [${this.state.currentIndex}/${
+        this.state.totalEssays
+      }] (${percentage}%) ${
+        status === "ok" ? "Processed" : `Search ${status}`
+      }: ${essay.title}`
+    );
+  }
+
+  /**
+   * Mark essays as processed using results from an earlier run, without
+   * searching for them again
+   * @param {Object} results - Results keyed by essay key
+   */
+  async importResults(results) {
+    for (const [key, result] of Object.entries(results)) {
+      this.state.processedEssays.push(key);
+      this.state.results[key] = result;
+      this.state.currentIndex++;
+    }
+
+    await this.saveProgress();
     console.log(
-      `✅ [${this.state.currentIndex}/${this.state.totalEssays}] (${percentage}%) Processed: ${essay.title}`
+      `📥 Carried over results for ${
+        Object.keys(results).length
+      } essays from a previous run`
     );
   }
 
@@ -130,10 +281,38 @@ export class ProgressTracker {
    * @returns {Array} Unprocessed essays
    */
   getRemainingEssays() {
-    const processedTitles = new Set(this.state.processedEssays);
-    return this.state.essays.filter(
-      (essay) => !processedTitles.has(essay.title)
+    const processed = new Set(this.state.processedEssays);
+    return this.state.essays.filter((essay) => !processed.has(essayKey(essay)));
+  }
+
+  /**
+   * Get essays whose search failed or only partly succeeded
+   * @returns {Array} Essays with a failed or partial search status
+   */
+  getFailedEssays() {
+    return this.state.essays.filter((essay) => {
+      const result = this.state.results[essayKey(essay)];
+      return (
+        result &&
+        (result.search_status === "failed" ||
+          result.search_status === "partial")
+      );
+    });
+  }
+
+  /**
+   * Mark essays as unprocessed so they get searched again. Their previous
+   * results stay in place until the new search replaces them.
+   * @param {Array} essays - Essays to search again
+   */
+  async requeueEssays(essays) {
+    const keys = new Set(essays.map(essayKey));
+    this.state.processedEssays = this.state.processedEssays.filter(
+      (key) => !keys.has(key)
     );
+    this.state.currentIndex = this.state.processedEssays.length;
+    this.state.completed = false;
+    await this.saveProgress();
   }
 
   /**
@@ -150,12 +329,25 @@ export class ProgressTracker {
   async markCompleted() {
     this.state.completed = true;
     this.state.endTime = new Date().toISOString();
-    await this.saveProgress();
+    await this.queueWrite(() => this.storage.compact(this.state), "progress");
+    await this.updateIndex({
+      status: "completed",
+      ended_at: this.state.endTime,
+    });
 
     console.log(
       `🎉 Session completed! Processed ${this.state.processedEssays.length} essays`
     );
 
+    // Keep the progress file while searches failed, so --retry-failed can resume
+    const failed = this.getFailedEssays().length;
+    if (failed > 0) {
+      console.log(
+        `⚠️ Keeping ${this.progressFile}: ${failed} essays can be retried with --resume ${this.sessionId} --retry-failed`
+      );
+      return;
+    }
+
     // Clean up progress file but keep results
     try {
       await fs.unlink(this.progressFile);
@@ -186,7 +378,7 @@ export class ProgressTracker {
 
   /**
    * Get all results
-   * @returns {Object} Current results
+   * @returns {Object} Current results, keyed by essay key (see essayKeys.js)
    */
   getResults() {
     return this.state.results;
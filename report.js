@@ -0,0 +1,184 @@
+import fs from "fs/promises";
+import { generateDiffHtmlReport } from "./generateDiffHtml.js";
+import { formatManifest } from "./manifest.js";
+import { diffReports, formatReportDiff } from "./reportDiff.js";
+
+const DIFF_FORMATS = ["text", "json", "html"];
+
+/**
+ * Load a report, or a session progress file, from disk
+ * @param {string} filePath - JSON report or progress-*.json file
+ * @returns {Promise<Object>} Parsed file
+ */
+export async function loadReportFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not read ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Print the run manifest of a report or session
+ * @param {string} filePath - JSON report or progress-*.json file
+ */
+async function infoCommand(filePath) {
+  const data = await loadReportFile(filePath);
+
+  console.log(`📄 ${filePath}`);
+  if (data.statistics) {
+    console.log(`   Generated: ${data.generated_at}`);
+    console.log(
+      `   Essays: ${data.statistics.total_essays}, HN posts: ${data.statistics.total_hn_posts}`
+    );
+    if (data.partial) {
+      console.log(
+        `   Partial report: ${data.partial.processed}/${data.partial.total} essays searched`
+      );
+    }
+  } else if (data.sessionId) {
+    console.log(`   Session: ${data.sessionId}, started ${data.startTime}`);
+    console.log(
+      `   Essays: ${data.processedEssays.length}/${data.essays.length} processed`
+    );
+  }
+
+  if (!data.manifest) {
+    console.log(
+      "\nNo run manifest: this file was written by a version that did not record one."
+    );
+    return;
+  }
+
+  console.log("\n📋 Run manifest:");
+  formatManifest(data.manifest).forEach((line) => console.log(`   ${line}`));
+}
+
+/**
+ * Show what changed between two reports
+ * @param {string} oldPath - Earlier JSON report
+ * @param {string} newPath - Later JSON report
+ * @param {Object} options - { format, output }
+ */
+async function diffCommand(oldPath, newPath, options) {
+  const oldReport = await loadReportFile(oldPath);
+  const newReport = await loadReportFile(newPath);
+  for (const [filePath, report] of [
+    [oldPath, oldReport],
+    [newPath, newReport],
+  ]) {
+    if (!report.detailed_results) {
+      throw new Error(`${filePath} is not a JSON report`);
+    }
+  }
+
+  const diff = diffReports(oldReport, newReport);
+
+  if (options.format === "html") {
+    const outputPath =
+      options.output ||
+      `pg-essays-diff-${diff.old_report.generated_at.slice(
+        0,
+        10
+      )}-to-${diff.new_report.generated_at.slice(0, 10)}.html`;
+    await generateDiffHtmlReport(diff, outputPath);
+    return;
+  }
+
+  const output =
+    options.format === "json"
+      ? JSON.stringify(diff, null, 2) + "\n"
+      : formatReportDiff(diff);
+  if (options.output) {
+    await fs.writeFile(options.output, output);
+    console.log(`📄 Saved report diff: ${options.output}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+
+  if (args.length === 0 || args.includes("--help") || args.includes("-h")) {
+    console.log(`
+Report Tools
+
+Usage:
+  node report.js <command> [options]
+
+Commands:
+  info <file>        Show how a report or session was produced: tool version,
+                     sources, endpoints, search queries, filters and concurrency
+  diff <old> <new>   Show what changed between two JSON reports: new and
+                     removed essays, new HN posts, point and comment changes,
+                     and rank movements in essays by popularity
+
+Options:
+  --format <format>  Diff output: text (default), json or html
+  --output, -o <f>   Write the diff to a file instead of the terminal
+                     (html defaults to pg-essays-diff-<old>-to-<new>.html)
+
+Examples:
+  node report.js info pg-essays-hn-report-2024-01-15.json
+  node report.js info sessions/progress-2024-01-15T10-30-00-000Z.json
+  node report.js diff pg-essays-hn-report-2024-01-15.json pg-essays-hn-report-2024-02-15.json
+  node report.js diff old.json new.json --format html -o changes.html
+    `);
+    process.exit(0);
+  }
+
+  const [command, ...rest] = args;
+  const files = [];
+  const options = { format: "text", output: null };
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === "--format") {
+      if (i + 1 < rest.length) {
+        options.format = rest[i + 1];
+        i++; // Skip next arg
+      }
+    } else if (arg === "--output" || arg === "-o") {
+      if (i + 1 < rest.length) {
+        options.output = rest[i + 1];
+        i++; // Skip next arg
+      }
+    } else {
+      files.push(arg);
+    }
+  }
+
+  if (!DIFF_FORMATS.includes(options.format)) {
+    console.error(
+      `Unknown format "${options.format}". Use one of: ${DIFF_FORMATS.join(
+        ", "
+      )}`
+    );
+    process.exit(1);
+  }
+
+  const commands = {
+    info: () => infoCommand(files[0]),
+    diff: () => diffCommand(files[0], files[1], options),
+  };
+  const needed = { info: 1, diff: 2 };
+
+  if (!commands[command]) {
+    console.error(
+      `Unknown command "${command}". Use one of: ${Object.keys(commands).join(
+        ", "
+      )}`
+    );
+    process.exit(1);
+  }
+  if (files.length < needed[command]) {
+    console.error(`"${command}" needs ${needed[command]} file(s); see --help`);
+    process.exit(1);
+  }
+
+  commands[command]().catch((error) => {
+    console.error("❌ Error:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,315 @@
+import { collectPosts } from "./csvExport.js";
+import { essayKey } from "./essayKeys.js";
+
+/**
+ * What changed between two reports of the same essay source: essays added
+ * and removed, HN posts found and lost, point and comment changes, and
+ * movements in the popularity ranking. Essays are matched by essay key and
+ * posts by HN item ID, so reports keyed by title compare just as well.
+ */
+
+// Reports from before source adapters existed are all Paul Graham essays
+const LEGACY_SOURCE = { name: "paulgraham", label: "Paul Graham" };
+
+// Statistics compared at the top of a diff
+const COMPARED_STATISTICS = [
+  ["total_essays", "Total essays"],
+  ["essays_found_on_hn", "Essays found on HN"],
+  ["total_hn_posts", "HN posts"],
+  ["total_points", "Total points"],
+];
+
+/**
+ * Format a change with its sign
+ * @param {number} delta - Change
+ * @returns {string} +n, -n or 0
+ */
+export function formatDelta(delta) {
+  return delta > 0 ? `+${delta}` : `${delta}`;
+}
+
+/**
+ * When and how a report was produced
+ * @param {Object} report - Generated report
+ * @returns {Object} { generated_at, session_id, partial }
+ */
+function reportInfo(report) {
+  return {
+    generated_at: report.generated_at,
+    session_id: report.session_id || null,
+    partial: report.partial || null,
+  };
+}
+
+/**
+ * Essay fields listed in a diff
+ * @param {Object} result - Essay result
+ * @returns {Object} { essay_key, title, url, total_posts, max_points }
+ */
+function essaySummary(result) {
+  return {
+    essay_key: essayKey(result.essay),
+    title: result.essay.title,
+    url: result.essay.url,
+    total_posts: result.total_posts,
+    max_points: result.max_points,
+  };
+}
+
+/**
+ * HN post fields listed in a diff
+ * @param {Object} post - Post from collectPosts
+ * @returns {Object} { id, title, hn_url, points, num_comments, essay_key, essay_title }
+ */
+function postSummary(post) {
+  return {
+    id: post.id,
+    title: post.title,
+    hn_url: post.hn_url,
+    points: post.points,
+    num_comments: post.num_comments,
+    essay_key: post.essay_key,
+    essay_title: post.essay_title,
+  };
+}
+
+/**
+ * Compare two reports
+ * @param {Object} oldReport - Earlier report
+ * @param {Object} newReport - Later report
+ * @returns {Object} Diff: { source, old_report, new_report, warnings,
+ *   statistics, new_essays, removed_essays, new_posts, removed_posts,
+ *   post_changes, rank_changes }
+ */
+export function diffReports(oldReport, newReport) {
+  const oldSource = oldReport.source || LEGACY_SOURCE;
+  const newSource = newReport.source || LEGACY_SOURCE;
+  if (oldSource.name !== newSource.name) {
+    throw new Error(
+      `Reports are of different essay sources (${oldSource.name} and ${newSource.name})`
+    );
+  }
+
+  const warnings = [];
+  if (oldReport.generated_at > newReport.generated_at) {
+    warnings.push(
+      "The old report was generated after the new one; changes are shown backwards"
+    );
+  }
+  for (const [which, report] of [
+    ["old", oldReport],
+    ["new", newReport],
+  ]) {
+    if (report.partial) {
+      warnings.push(
+        `The ${which} report is partial (${report.partial.processed}/${
+          report.partial.total
+        } essays searched); essays it never reached show as ${
+          which === "old" ? "new" : "removed"
+        }`
+      );
+    }
+  }
+
+  const oldEssays = new Map(
+    Object.values(oldReport.detailed_results).map((r) => [essayKey(r.essay), r])
+  );
+  const newEssays = new Map(
+    Object.values(newReport.detailed_results).map((r) => [essayKey(r.essay), r])
+  );
+  const byTitle = (a, b) => a.title.localeCompare(b.title);
+
+  const oldPosts = new Map(
+    collectPosts(oldReport.detailed_results).map((p) => [p.id, p])
+  );
+  const newPosts = new Map(
+    collectPosts(newReport.detailed_results).map((p) => [p.id, p])
+  );
+
+  const postChanges = [];
+  for (const [id, post] of newPosts) {
+    const before = oldPosts.get(id);
+    if (!before) continue;
+    const pointsDelta = post.points - before.points;
+    const commentsDelta = post.num_comments - before.num_comments;
+    if (pointsDelta !== 0 || commentsDelta !== 0) {
+      postChanges.push({
+        ...postSummary(post),
+        points_delta: pointsDelta,
+        comments_delta: commentsDelta,
+      });
+    }
+  }
+  postChanges.sort(
+    (a, b) => b.points_delta - a.points_delta || b.points - a.points
+  );
+
+  // Ranks are positions in essays_by_popularity. Only essays in both reports
+  // count; new and removed essays are listed on their own.
+  const ranks = (report) =>
+    new Map(
+      report.essays_by_popularity.map((r, index) => [
+        essayKey(r.essay),
+        index + 1,
+      ])
+    );
+  const oldRanks = ranks(oldReport);
+  const newRanks = ranks(newReport);
+  const moved = [];
+  const entered = [];
+  const left = [];
+  for (const [key, result] of newEssays) {
+    if (!oldEssays.has(key)) continue;
+    const oldRank = oldRanks.get(key) ?? null;
+    const newRank = newRanks.get(key) ?? null;
+    if (oldRank === newRank) continue;
+    const change = {
+      essay_key: key,
+      title: result.essay.title,
+      url: result.essay.url,
+      old_rank: oldRank,
+      new_rank: newRank,
+      // Positive when the essay moved up
+      rank_delta: oldRank && newRank ? oldRank - newRank : null,
+    };
+    if (!oldRank) entered.push(change);
+    else if (!newRank) left.push(change);
+    else moved.push(change);
+  }
+  moved.sort(
+    (a, b) =>
+      Math.abs(b.rank_delta) - Math.abs(a.rank_delta) || a.new_rank - b.new_rank
+  );
+  entered.sort((a, b) => a.new_rank - b.new_rank);
+  left.sort((a, b) => a.old_rank - b.old_rank);
+
+  return {
+    source: { name: newSource.name, label: newSource.label },
+    old_report: reportInfo(oldReport),
+    new_report: reportInfo(newReport),
+    warnings,
+    statistics: Object.fromEntries(
+      COMPARED_STATISTICS.map(([field]) => {
+        const before = oldReport.statistics[field];
+        const after = newReport.statistics[field];
+        return [field, { old: before, new: after, delta: after - before }];
+      })
+    ),
+    new_essays: [...newEssays]
+      .filter(([key]) => !oldEssays.has(key))
+      .map(([, result]) => essaySummary(result))
+      .sort(byTitle),
+    removed_essays: [...oldEssays]
+      .filter(([key]) => !newEssays.has(key))
+      .map(([, result]) => essaySummary(result))
+      .sort(byTitle),
+    new_posts: [...newPosts.values()]
+      .filter((post) => !oldPosts.has(post.id))
+      .map(postSummary),
+    // Posts of removed essays are accounted for by the essay
+    removed_posts: [...oldPosts.values()]
+      .filter((post) => !newPosts.has(post.id) && newEssays.has(post.essay_key))
+      .map(postSummary),
+    post_changes: postChanges,
+    rank_changes: [...moved, ...entered, ...left],
+  };
+}
+
+/**
+ * Describe a rank change
+ * @param {Object} change - Entry of rank_changes
+ * @returns {string} Description, e.g. "#7 -> #3 (+4)"
+ */
+function describeRankChange(change) {
+  if (!change.old_rank) return `new in ranking at #${change.new_rank}`;
+  if (!change.new_rank)
+    return `dropped out of ranking from #${change.old_rank}`;
+  return `#${change.old_rank} -> #${change.new_rank} (${formatDelta(
+    change.rank_delta
+  )})`;
+}
+
+/**
+ * Render a diff as text
+ * @param {Object} diff - Output of diffReports
+ * @returns {string} Text
+ */
+export function formatReportDiff(diff) {
+  const describeReport = (info) =>
+    `${info.generated_at}${
+      info.session_id ? ` (session ${info.session_id})` : ""
+    }${info.partial ? " [partial]" : ""}`;
+
+  let text = `REPORT DIFF\n`;
+  text += `===========\n\n`;
+  text += `Old report: ${describeReport(diff.old_report)}\n`;
+  text += `New report: ${describeReport(diff.new_report)}\n\n`;
+  diff.warnings.forEach((warning) => {
+    text += `⚠️  ${warning}\n`;
+  });
+  if (diff.warnings.length > 0) text += `\n`;
+
+  text += `STATISTICS:\n`;
+  COMPARED_STATISTICS.forEach(([field, label]) => {
+    const stat = diff.statistics[field];
+    text += `- ${label}: ${stat.old} -> ${stat.new}${
+      stat.delta ? ` (${formatDelta(stat.delta)})` : ""
+    }\n`;
+  });
+  text += `\n`;
+
+  const sections = [
+    [
+      "NEW ESSAYS",
+      diff.new_essays,
+      (essay) =>
+        `- ${essay.title} (${essay.total_posts} HN posts)\n    ${essay.url}\n`,
+    ],
+    [
+      "REMOVED ESSAYS",
+      diff.removed_essays,
+      (essay) => `- ${essay.title}\n    ${essay.url}\n`,
+    ],
+    [
+      "NEW HN POSTS",
+      diff.new_posts,
+      (post) =>
+        `- ${post.points} pts, ${post.num_comments} comments - ${post.title}\n    Essay: ${post.essay_title}\n    HN: ${post.hn_url}\n`,
+    ],
+    [
+      "HN POSTS NO LONGER MATCHED",
+      diff.removed_posts,
+      (post) =>
+        `- ${post.points} pts - ${post.title}\n    Essay: ${post.essay_title}\n    HN: ${post.hn_url}\n`,
+    ],
+    [
+      "POINT AND COMMENT CHANGES",
+      diff.post_changes,
+      (post) =>
+        `- ${formatDelta(post.points_delta)} pts (now ${
+          post.points
+        }), ${formatDelta(post.comments_delta)} comments (now ${
+          post.num_comments
+        }) - ${post.title}\n    Essay: ${post.essay_title}\n    HN: ${
+          post.hn_url
+        }\n`,
+    ],
+    [
+      "RANK CHANGES IN ESSAYS BY POPULARITY",
+      diff.rank_changes,
+      (change) => `- ${describeRankChange(change)}: ${change.title}\n`,
+    ],
+  ].filter(([, entries]) => entries.length > 0);
+
+  if (sections.length === 0) {
+    return text + `No essays, posts or rankings changed.\n`;
+  }
+  sections.forEach(([title, entries, line]) => {
+    text += `${title} (${entries.length}):\n`;
+    entries.forEach((entry) => {
+      text += line(entry);
+    });
+    text += `\n`;
+  });
+  return text;
+}
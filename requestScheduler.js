@@ -0,0 +1,337 @@
+import axios from "axios";
+
+/**
+ * Central scheduler for every outgoing HTTP request. Each host gets a token
+ * bucket (requests per second with a burst allowance) and a cap on requests
+ * in flight. Requests that fail with 429, 5xx or a network error are retried
+ * with exponential backoff and full jitter, honouring Retry-After. A 429 or
+ * Retry-After pauses the whole host, not just the request that got it.
+ */
+
+const DEFAULT_LIMITS = {
+  rate: 3, // requests per second per host
+  burst: 5,
+  concurrency: 4, // requests in flight per host
+};
+
+// Built-in limits for hosts with stricter (or looser) published limits
+const DEFAULT_HOST_LIMITS = {
+  // Unauthenticated Reddit API: about 10 requests per minute
+  "www.reddit.com": { rate: 0.15, burst: 2, concurrency: 1 },
+  // One request per comment when walking threads
+  "hacker-news.firebaseio.com": { rate: 20, burst: 20, concurrency: 10 },
+};
+
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504];
+
+const RETRYABLE_CODES = [
+  "ECONNRESET",
+  "ECONNABORTED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
+const schedulerConfig = {
+  limits: { ...DEFAULT_LIMITS },
+  hostLimits: { ...DEFAULT_HOST_LIMITS },
+  maxRetries: 4,
+  baseDelay: 500, // ms, doubled on each retry
+  maxDelay: 60 * 1000, // ms
+  timeout: 30 * 1000, // ms per request
+  signal: null, // AbortSignal that cancels every pending request
+};
+
+const hosts = new Map();
+
+const stats = {
+  requests: 0,
+  retries: 0,
+  errors: 0,
+  throttled: 0,
+  inFlight: 0,
+  // Time from sending a request to its response, excluding time spent queued
+  responses: 0,
+  latencyTotal: 0,
+};
+
+/**
+ * Token bucket refilled continuously at `rate` tokens per second
+ */
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.capacity = Math.max(1, burst);
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+  }
+
+  /**
+   * Take a token if one is available
+   * @returns {number} 0 if a token was taken, otherwise ms until one is available
+   */
+  take() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + ((now - this.lastRefill) / 1000) * this.rate
+    );
+    this.lastRefill = now;
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return 0;
+    }
+    return Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+  }
+}
+
+/**
+ * Configure the scheduler. Limits apply to hosts first used afterwards.
+ * @param {Object} options - Scheduler options
+ * @param {number} options.rate - Requests per second per host
+ * @param {number} options.burst - Requests a host may receive at once after being idle
+ * @param {number} options.concurrency - Requests in flight per host
+ * @param {Object} options.hostLimits - Per-host overrides, e.g. { "hn.algolia.com": { rate: 5 } }
+ * @param {number} options.maxRetries - Retries for 429, 5xx and network errors
+ * @param {number} options.baseDelay - First backoff delay in ms
+ * @param {number} options.maxDelay - Longest backoff delay in ms
+ * @param {number} options.timeout - Request timeout in ms
+ * @param {AbortSignal} options.signal - Cancels requests in flight or waiting
+ *   for a slot, e.g. on shutdown
+ */
+export function configureScheduler(options = {}) {
+  for (const key of ["rate", "burst", "concurrency"]) {
+    if (options[key] !== undefined && options[key] !== null) {
+      schedulerConfig.limits[key] = options[key];
+    }
+  }
+  for (const key of [
+    "maxRetries",
+    "baseDelay",
+    "maxDelay",
+    "timeout",
+    "signal",
+  ]) {
+    if (options[key] !== undefined && options[key] !== null) {
+      schedulerConfig[key] = options[key];
+    }
+  }
+  for (const [host, limits] of Object.entries(options.hostLimits || {})) {
+    schedulerConfig.hostLimits[host] = {
+      ...schedulerConfig.hostLimits[host],
+      ...limits,
+    };
+  }
+  hosts.clear();
+}
+
+/**
+ * Set the abort signal that cancels pending requests, leaving the other
+ * settings (and the hosts' state) as they are
+ * @param {AbortSignal|null} signal - Abort signal, or null for none
+ */
+export function setSchedulerSignal(signal) {
+  schedulerConfig.signal = signal;
+}
+
+/**
+ * Request counters, for progress displays and run summaries
+ * @returns {Object} { requests, retries, errors, throttled, inFlight, responses,
+ *   latencyTotal }
+ */
+export function getSchedulerStats() {
+  return { ...stats };
+}
+
+/**
+ * Scheduling state for a host, created on first use
+ * @param {string} hostname - Host name
+ * @returns {Object} Host state
+ */
+function getHost(hostname) {
+  if (!hosts.has(hostname)) {
+    const limits = {
+      ...schedulerConfig.limits,
+      ...schedulerConfig.hostLimits[hostname],
+    };
+    hosts.set(hostname, {
+      limits,
+      bucket: new TokenBucket(limits.rate, limits.burst),
+      active: 0,
+      waiting: [],
+      pausedUntil: 0,
+    });
+  }
+  return hosts.get(hostname);
+}
+
+/**
+ * Error thrown for requests cancelled through the abort signal. The code
+ * matches the one axios uses for requests aborted in flight.
+ * @returns {Error} Cancellation error
+ */
+function cancelledError() {
+  const error = new Error("Request cancelled");
+  error.code = "ERR_CANCELED";
+  return error;
+}
+
+/**
+ * Wait, unless the abort signal fires first
+ * @param {number} ms - Delay in ms
+ * @param {AbortSignal} signal - Abort signal, if any
+ * @returns {Promise} Resolves after the delay, rejects if aborted
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Wait until the host has a free slot, isn't paused and has a token
+ * @param {Object} host - Host state
+ * @param {AbortSignal} signal - Abort signal, if any
+ */
+async function acquire(host, signal) {
+  for (;;) {
+    if (signal && signal.aborted) {
+      throw cancelledError();
+    }
+    const pause = host.pausedUntil - Date.now();
+    if (pause > 0) {
+      await sleep(pause, signal);
+      continue;
+    }
+    if (host.active >= host.limits.concurrency) {
+      await new Promise((resolve) => host.waiting.push(resolve));
+      continue;
+    }
+    const wait = host.bucket.take();
+    if (wait === 0) {
+      host.active++;
+      return;
+    }
+    await sleep(wait, signal);
+  }
+}
+
+/**
+ * Free a host slot and wake the next waiting request
+ * @param {Object} host - Host state
+ */
+function release(host) {
+  host.active--;
+  const next = host.waiting.shift();
+  if (next) next();
+}
+
+/**
+ * Delay requested by a Retry-After header
+ * @param {Object} response - axios error response
+ * @returns {number|null} Delay in ms, or null without a usable header
+ */
+function retryAfterDelay(response) {
+  const header =
+    response && response.headers && response.headers["retry-after"];
+  if (!header) return null;
+
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decide whether a failed request is worth retrying
+ * @param {Error} error - axios error
+ * @returns {boolean} True for 429, 5xx and transient network errors
+ */
+function isRetryable(error) {
+  if (error.response) {
+    return RETRYABLE_STATUS.includes(error.response.status);
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * GET a URL through the scheduler
+ * @param {string} url - Request URL
+ * @param {Object} config - axios request config
+ * @returns {Promise<Object>} axios response
+ */
+export async function scheduledGet(url, config = {}) {
+  const host = getHost(new URL(url).hostname);
+  const { maxRetries, baseDelay, maxDelay, timeout, signal } = schedulerConfig;
+
+  for (let attempt = 0; ; attempt++) {
+    await acquire(host, signal);
+    stats.requests++;
+    stats.inFlight++;
+
+    let delay;
+    const sentAt = Date.now();
+    try {
+      const response = await axios.get(url, {
+        timeout,
+        ...(signal && { signal }),
+        ...config,
+      });
+      stats.responses++;
+      stats.latencyTotal += Date.now() - sentAt;
+      return response;
+    } catch (error) {
+      if (error.response) {
+        stats.responses++;
+        stats.latencyTotal += Date.now() - sentAt;
+      }
+      if (signal && signal.aborted) {
+        throw cancelledError();
+      }
+      if (attempt >= maxRetries || !isRetryable(error)) {
+        stats.errors++;
+        throw error;
+      }
+
+      // Full jitter, unless the server said how long to wait
+      const requested = retryAfterDelay(error.response);
+      delay =
+        requested !== null
+          ? Math.min(requested, maxDelay)
+          : Math.random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+
+      const status = error.response ? error.response.status : error.code;
+      if (status === 429 || requested !== null) {
+        // Back the whole host off, not just this request
+        stats.throttled++;
+        host.pausedUntil = Math.max(host.pausedUntil, Date.now() + delay);
+      }
+
+      stats.retries++;
+      console.warn(
+        `⏳ ${status} from ${new URL(url).hostname}, retrying in ${(
+          delay / 1000
+        ).toFixed(1)}s (attempt ${attempt + 1}/${maxRetries})`
+      );
+    } finally {
+      stats.inFlight--;
+      release(host);
+    }
+
+    await sleep(delay, signal);
+  }
+}
@@ -1,52 +1,68 @@
-import axios from "axios";
 import * as cheerio from "cheerio";
+import { canonicalizeUrl } from "./canonicalUrl.js";
+import { MONTHS, parsePublicationDate } from "./dates.js";
+import { qualifyDuplicateSlugs } from "./essayKeys.js";
+import { loadEssaySource, paulGrahamSource } from "./essaySources.js";
+import { cachedGet, configureHttpCache } from "./httpCache.js";
+
+const DATE_LINE_PATTERN = new RegExp(`^(${MONTHS.join("|")})\\s+\\d{4}\\b`);
 
 /**
- * Scrapes Paul Graham's essay list from his articles page
+ * Scrapes the essay list from a source's index page
+ * @param {Object} options - Scraping options
+ * @param {EssaySource} options.source - Essay source adapter (default: Paul Graham)
+ * @param {boolean} options.deep - Also fetch every essay page for its content
  * @returns {Promise<Array>} Array of essay objects with title and URL
  */
-export async function scrapeEssays() {
+export async function scrapeEssays(options = {}) {
+  const { source = paulGrahamSource, deep = false } = options;
+
   try {
-    console.log("Fetching Paul Graham's articles page...");
-    const response = await axios.get(
-      "https://www.paulgraham.com/articles.html"
-    );
+    console.log(`Fetching ${source.label}'s index page...`);
+    const response = await cachedGet(source.indexUrl);
     const $ = cheerio.load(response.data);
 
     const essays = [];
 
-    // Find all links in the page that point to essay files
-    $("a").each((i, element) => {
+    // Find all links in the page that point to essays
+    $(source.linkSelector).each((i, element) => {
       const href = $(element).attr("href");
       const text = $(element).text().trim();
 
-      // Filter for essay links (exclude images, index, etc.)
-      if (
-        href &&
-        href.endsWith(".html") &&
-        href !== "index.html" &&
-        text &&
-        text.length > 3 &&
-        !href.includes("http") && // exclude external links
-        !text.match(/^\d+$/) && // exclude numbers
-        !text.includes("gif") &&
-        !text.includes("Essays")
-      ) {
+      if (source.isEssayLink(href, text)) {
+        const url = source.resolveUrl(href);
         essays.push({
           title: text,
-          url: `https://www.paulgraham.com/${href}`,
-          slug: href.replace(".html", ""),
+          url,
+          canonical_url: canonicalizeUrl(url, source.urlOptions),
+          slug: source.deriveSlug(url),
+          source: source.name,
+          domain: source.domain,
         });
       }
     });
 
-    // Remove duplicates based on URL
+    // Remove duplicates based on canonical URL
     const uniqueEssays = essays.filter(
       (essay, index, self) =>
-        index === self.findIndex((e) => e.url === essay.url)
+        index === self.findIndex((e) => e.canonical_url === essay.canonical_url)
     );
 
+    const shared = qualifyDuplicateSlugs(uniqueEssays);
+    if (shared.size > 0) {
+      console.warn(
+        `⚠️ Essays share the slugs ${[...shared].join(
+          ", "
+        )}; keying them by URL path instead`
+      );
+    }
+
     console.log(`Found ${uniqueEssays.length} essays`);
+
+    if (deep) {
+      await scrapeAllEssayContent(uniqueEssays, source);
+    }
+
     return uniqueEssays;
   } catch (error) {
     console.error("Error scraping essays:", error.message);
@@ -54,13 +70,177 @@ export async function scrapeEssays() {
   }
 }
 
+/**
+ * Split a chunk of essay HTML into trimmed paragraphs
+ * @param {cheerio.CheerioAPI} $ - Loaded document
+ * @param {cheerio.Cheerio} container - Element holding the essay text
+ * @returns {Array<string>} Non-empty paragraphs in document order
+ */
+function extractParagraphs($, container) {
+  container.find("br").replaceWith("\n");
+  container.find("p").each((i, element) => {
+    $(element).prepend("\n\n").append("\n\n");
+  });
+
+  return container
+    .text()
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.replace(/\s+/g, " ").trim())
+    .filter((paragraph) => paragraph.length > 0);
+}
+
+/**
+ * Extract the body text and metadata from an essay page
+ * @param {string} html - Raw HTML of the essay page
+ * @param {string} contentSelector - Selector for the element(s) holding the essay
+ * @returns {Object} Body text, word count, date line and parsed date, footnotes
+ *   and acknowledgements
+ */
+export function extractEssayContent(
+  html,
+  contentSelector = paulGrahamSource.contentSelector
+) {
+  const $ = cheerio.load(html);
+
+  // Pick the largest matching block so sidebars and boxes like PG's
+  // "Want to start a startup?" are ignored
+  let container = null;
+  $(contentSelector).each((i, element) => {
+    if (!container || $(element).text().length > container.text().length) {
+      container = $(element);
+    }
+  });
+  if (!container) {
+    container = $("body");
+  }
+
+  const paragraphs = extractParagraphs($, container);
+
+  // The month/year line ("January 2023") is one of the first paragraphs
+  let dateLine = null;
+  let bodyStart = 0;
+  for (let i = 0; i < Math.min(paragraphs.length, 3); i++) {
+    if (DATE_LINE_PATTERN.test(paragraphs[i])) {
+      dateLine = paragraphs[i];
+      bodyStart = i + 1;
+      break;
+    }
+  }
+
+  const body = [];
+  const footnotes = [];
+  let acknowledgements = null;
+  let inNotes = false;
+
+  for (const paragraph of paragraphs.slice(bodyStart)) {
+    if (/^thanks to\b/i.test(paragraph)) {
+      acknowledgements = paragraph;
+      inNotes = false;
+    } else if (/^notes?$/i.test(paragraph)) {
+      inNotes = true;
+    } else if (inNotes) {
+      const footnote = paragraph.match(/^\[(\d+)\]\s*(.*)$/);
+      if (footnote) {
+        footnotes.push({
+          number: parseInt(footnote[1], 10),
+          text: footnote[2],
+        });
+      } else if (footnotes.length > 0) {
+        // Footnotes can span several paragraphs
+        footnotes[footnotes.length - 1].text += `\n\n${paragraph}`;
+      }
+    } else if (!acknowledgements) {
+      body.push(paragraph);
+    }
+  }
+
+  const bodyText = body.join("\n\n");
+
+  return {
+    body_text: bodyText,
+    word_count: bodyText ? bodyText.split(/\s+/).length : 0,
+    date_line: dateLine,
+    published_at: parsePublicationDate(dateLine),
+    footnotes,
+    acknowledgements,
+  };
+}
+
+/**
+ * Fetch an essay page and extract its content
+ * @param {Object} essay - Essay object with title and url
+ * @param {EssaySource} source - Source adapter the essay came from
+ * @returns {Promise<Object>} Extracted content (see extractEssayContent), plus
+ *   whether the page was served from the HTTP cache
+ */
+export async function scrapeEssayContent(essay, source = paulGrahamSource) {
+  const response = await cachedGet(essay.url);
+  return {
+    content: extractEssayContent(response.data, source.contentSelector),
+    cached: response.cached,
+  };
+}
+
+/**
+ * Fetch the content of every essay, adding it to each essay object in place.
+ * Requests are paced by the request scheduler.
+ * @param {Array} essays - Essay objects from the index page
+ * @param {EssaySource} source - Source adapter the essays came from
+ * @returns {Promise<Array>} The same essays, with content fields added
+ */
+export async function scrapeAllEssayContent(essays, source = paulGrahamSource) {
+  console.log(`Fetching content for ${essays.length} essays (deep mode)...`);
+
+  let failed = 0;
+  for (let i = 0; i < essays.length; i++) {
+    const essay = essays[i];
+    try {
+      const page = await scrapeEssayContent(essay, source);
+      Object.assign(essay, page.content);
+    } catch (error) {
+      failed++;
+      essay.content_error = error.message;
+      console.warn(
+        `Failed to fetch content for "${essay.title}":`,
+        error.message
+      );
+    }
+
+    if ((i + 1) % 25 === 0) {
+      console.log(`  [${i + 1}/${essays.length}] essay pages fetched`);
+    }
+  }
+
+  console.log(
+    `Fetched content for ${essays.length - failed}/${essays.length} essays`
+  );
+  return essays;
+}
+
 // Test the function if run directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  scrapeEssays()
+  const deep = process.argv.includes("--deep");
+  const cacheIndex = process.argv.indexOf("--cache");
+  if (cacheIndex !== -1) {
+    configureHttpCache({ mode: process.argv[cacheIndex + 1] });
+  }
+  const sourceIndex = process.argv.indexOf("--source");
+  const sourceSpec =
+    sourceIndex !== -1 ? process.argv[sourceIndex + 1] : undefined;
+
+  loadEssaySource(sourceSpec)
+    .then((source) => scrapeEssays({ source, deep }))
     .then((essays) => {
       console.log("Essays found:");
       essays.slice(0, 5).forEach((essay) => {
         console.log(`- ${essay.title}: ${essay.url}`);
+        if (deep) {
+          console.log(
+            `    ${essay.date_line || "undated"}, ${essay.word_count} words, ${
+              essay.footnotes ? essay.footnotes.length : 0
+            } footnotes`
+          );
+        }
       });
       console.log(`... and ${essays.length - 5} more`);
     })
@@ -1,96 +1,290 @@
-import axios from "axios";
+import { canonicalizeUrl } from "./canonicalUrl.js";
+import { getFirstHnPostDate } from "./dates.js";
+import { essayKey } from "./essayKeys.js";
+import { paulGrahamSource } from "./essaySources.js";
+import { cachedGet, describeError } from "./httpCache.js";
+import {
+  DEFAULT_MIN_CONFIDENCE,
+  partitionByConfidence,
+  scoreHit,
+} from "./matcher.js";
+
+// Use Algolia HN search API (more reliable than the official API for search)
+export const ALGOLIA_BASE_URL = "https://hn.algolia.com/api/v1";
+
+// Official HN API, for items missing from search results
+export const HN_ITEM_API_URL = "https://hacker-news.firebaseio.com/v0/item";
+
+export const HITS_PER_PAGE = 50;
+
+// Maximum pages fetched per query (or per date slice)
+export const DEFAULT_MAX_PAGES = 5;
+
+// Hacker News went live in February 2007; nothing can be older
+const HN_LAUNCH = Date.UTC(2007, 1, 19) / 1000;
+
+// Queries run for every essay; {field} is replaced by the essay's field (or
+// the essay source's domain)
+export const QUERY_TEMPLATES = [
+  "{title}",
+  '"{title}"',
+  "{url}",
+  "site:{domain} {title}",
+  "{slug}",
+];
+
+/**
+ * Expand the query templates for an essay
+ * @param {Object} essay - Essay object
+ * @param {string} domain - Domain of the essay source
+ * @returns {Array<string>} Search queries
+ */
+export function buildSearchQueries(essay, domain) {
+  const values = { ...essay, domain };
+  return QUERY_TEMPLATES.map((template) =>
+    template.replace(/\{(\w+)\}/g, (match, field) => values[field] ?? "")
+  );
+}
+
+/**
+ * Fetch pages of Algolia results for a query
+ * @param {string} query - Search query
+ * @param {Object} options - Fetch options
+ * @param {string} options.numericFilters - Algolia numericFilters (e.g. a created_at_i window)
+ * @param {number} options.maxPages - Stop after this many pages
+ * @param {number} options.firstPage - First page to fetch (default 0)
+ * @param {string} options.baseUrl - Algolia API base URL
+ * @returns {Promise<Object>} { hits, pages, nbHits, truncated }
+ */
+async function fetchQueryPages(query, options) {
+  const { numericFilters, maxPages, firstPage = 0, baseUrl } = options;
+  const hits = [];
+  let pages = 0;
+  let nbHits = 0;
+  let nbPages = firstPage + 1;
+
+  for (let page = firstPage; page < nbPages && pages < maxPages; page++) {
+    const params = {
+      query: query,
+      tags: "story",
+      hitsPerPage: HITS_PER_PAGE,
+      page,
+    };
+    if (numericFilters) {
+      params.numericFilters = numericFilters;
+    }
+
+    const response = await cachedGet(`${baseUrl}/search`, { params });
+    pages++;
+    nbHits = response.data.nbHits || 0;
+    nbPages = response.data.nbPages || 0;
+
+    if (response.data.hits) {
+      hits.push(...response.data.hits);
+    }
+  }
+
+  return { hits, pages, nbHits, truncated: firstPage + pages < nbPages };
+}
+
+/**
+ * Split the time since an essay could first have been posted into windows
+ * @param {Object} essay - Essay object (uses published_at when known)
+ * @param {number} sliceYears - Length of each window in years
+ * @returns {Array<Array<number>>} [start, end) pairs in Unix seconds
+ */
+function timeWindows(essay, sliceYears) {
+  const published = essay.published_at
+    ? Date.parse(essay.published_at) / 1000
+    : HN_LAUNCH;
+  if (!(Number.isFinite(sliceYears) && sliceYears > 0)) {
+    throw new Error(`Invalid date window length: ${sliceYears} years`);
+  }
+  // At least a day, so every window moves forward and tiny lengths don't
+  // turn into millions of queries
+  const sliceSeconds = Math.max(sliceYears * 365.25, 1) * 24 * 60 * 60;
+  const now = Math.ceil(Date.now() / 1000);
+
+  const slices = [];
+  for (let start = Math.max(published, HN_LAUNCH); start < now; ) {
+    const end = Math.min(Math.floor(start + sliceSeconds), now + 1);
+    slices.push([Math.floor(start), end]);
+    start = end;
+  }
+  return slices;
+}
+
+/**
+ * Run one query, paginating and falling back to date windows when there are
+ * more hits than pagination can reach
+ * @param {string} query - Search query
+ * @param {Object} essay - Essay being searched for
+ * @param {Object} options - maxPages, dateSlices, sliceYears and baseUrl
+ * @returns {Promise<Object>} { hits, pages, nbHits, slices, truncated }
+ */
+async function searchQuery(query, essay, options) {
+  const { maxPages, sliceYears, baseUrl } = options;
+
+  const first = await fetchQueryPages(query, { maxPages: 1, baseUrl });
+  const reachable = Math.ceil(first.nbHits / HITS_PER_PAGE) <= maxPages;
+
+  if (reachable || !options.dateSlices) {
+    const rest = first.truncated
+      ? await fetchQueryPages(query, {
+          maxPages: maxPages - 1,
+          firstPage: 1,
+          baseUrl,
+        })
+      : { hits: [], pages: 0, truncated: false };
+    return {
+      hits: [...first.hits, ...rest.hits],
+      pages: first.pages + rest.pages,
+      nbHits: first.nbHits,
+      slices: 0,
+      truncated: rest.truncated,
+    };
+  }
+
+  // Too many hits for a common title: search each time window separately
+  const result = {
+    hits: [...first.hits],
+    pages: first.pages,
+    nbHits: first.nbHits,
+    slices: 0,
+    truncated: false,
+  };
+  for (const [start, end] of timeWindows(essay, sliceYears)) {
+    const slice = await fetchQueryPages(query, {
+      numericFilters: `created_at_i>=${start},created_at_i<${end}`,
+      maxPages,
+      baseUrl,
+    });
+    result.hits.push(...slice.hits);
+    result.pages += slice.pages;
+    result.slices++;
+    result.truncated = result.truncated || slice.truncated;
+  }
+  return result;
+}
 
 /**
  * Search for an essay on Hacker News using Algolia API
  * @param {Object} essay - Essay object with title and url
- * @returns {Promise<Array>} Array of HN posts for this essay
+ * @param {Object} options - Search options
+ * @param {number} options.minConfidence - Minimum match confidence for a post to count
+ * @param {EssaySource} options.essaySource - Source of the essay (default: Paul Graham)
+ * @param {Object} options.urlOptions - canonicalizeUrl options from the essay source
+ * @param {number} options.maxPages - Maximum result pages per query or date window
+ * @param {boolean} options.dateSlices - Search in date windows when a query has
+ *   more hits than maxPages can reach
+ * @param {number} options.sliceYears - Length of each date window in years
+ * @param {string} options.baseUrl - Algolia API base URL (e.g. a local stand-in for tests)
+ * @returns {Promise<Object>} { posts, borderline_posts, search_stats, errors }:
+ *   matched HN posts, posts scoring just below the threshold for manual review,
+ *   how many pages and hits were examined, and the queries that failed
+ * @throws {Error} If every query failed
  */
-export async function searchHackerNewsForEssay(essay) {
-  try {
-    // Use Algolia HN search API (more reliable than the official API for search)
-    const searchUrl = "https://hn.algolia.com/api/v1/search";
-
-    // Search by the essay title and Paul Graham's domain
-    const queries = [
-      essay.title,
-      `"${essay.title}"`,
-      essay.url,
-      `site:paulgraham.com ${essay.title}`,
-      essay.slug,
-    ];
-
-    const allResults = [];
-
-    for (const query of queries) {
-      try {
-        const response = await axios.get(searchUrl, {
-          params: {
-            query: query,
-            tags: "story",
-            hitsPerPage: 50,
-          },
-        });
-
-        if (response.data.hits) {
-          allResults.push(...response.data.hits);
-        }
-
-        // Small delay to be respectful to the API
-        await new Promise((resolve) => setTimeout(resolve, 100));
-      } catch (error) {
-        console.warn(`Search failed for query "${query}":`, error.message);
+export async function searchHackerNewsForEssay(essay, options = {}) {
+  const {
+    minConfidence = DEFAULT_MIN_CONFIDENCE,
+    essaySource = paulGrahamSource,
+    urlOptions = essaySource.urlOptions,
+    maxPages = DEFAULT_MAX_PAGES,
+    dateSlices = true,
+    sliceYears = 1,
+    baseUrl = ALGOLIA_BASE_URL,
+  } = options;
+
+  const searchStats = {
+    queries: 0,
+    pages: 0,
+    hits_examined: 0,
+    date_slices: 0,
+    truncated_queries: 0,
+  };
+
+  // Essays saved before source adapters existed have no domain of their own
+  const domain = essay.domain || essaySource.domain;
+
+  // Search by the essay title and the essay's domain
+  const queries = buildSearchQueries(essay, domain);
+
+  const allResults = [];
+  const errors = [];
+
+  for (const query of queries) {
+    try {
+      const result = await searchQuery(query, essay, {
+        maxPages,
+        dateSlices,
+        sliceYears,
+        baseUrl,
+      });
+      allResults.push(...result.hits);
+
+      searchStats.queries++;
+      searchStats.pages += result.pages;
+      searchStats.hits_examined += result.hits.length;
+      searchStats.date_slices += result.slices;
+      if (result.truncated) {
+        searchStats.truncated_queries++;
       }
+    } catch (error) {
+      console.warn(`Search failed for query "${query}":`, error.message);
+      errors.push({ query, ...describeError(error) });
     }
+  }
 
-    // Filter and deduplicate results
-    const relevantPosts = allResults
-      .filter((hit) => {
-        const title = (hit.title || "").toLowerCase();
-        const url = hit.url || "";
-        const essayTitle = essay.title.toLowerCase();
-
-        // Check if the post is about this specific essay
-        return (
-          title.includes(essayTitle) ||
-          url.includes(essay.url) ||
-          url.includes(`paulgraham.com/${essay.slug}`) ||
-          (hit.story_text && hit.story_text.includes(essay.url))
-        );
-      })
-      .map((hit) => ({
+  if (errors.length === queries.length) {
+    const error = new Error(
+      `All ${queries.length} HN queries failed: ${errors[0].message}`
+    );
+    error.errors = errors;
+    throw error;
+  }
+
+  // Score and deduplicate results
+  const scoredPosts = allResults
+    .map((hit) => {
+      const match = scoreHit(hit, essay, urlOptions, essaySource);
+      return {
         id: hit.objectID,
         title: hit.title,
         url: hit.url,
+        original_url: hit.url || null,
+        canonical_url: canonicalizeUrl(hit.url, urlOptions),
         hn_url: `https://news.ycombinator.com/item?id=${hit.objectID}`,
         points: hit.points || 0,
         num_comments: hit.num_comments || 0,
         created_at: hit.created_at,
         author: hit.author,
-      }))
-      // Remove duplicates based on HN item ID
-      .filter(
-        (post, index, self) => index === self.findIndex((p) => p.id === post.id)
-      )
-      // Sort by points descending
-      .sort((a, b) => b.points - a.points);
-
-    return relevantPosts;
-  } catch (error) {
-    console.error(`Error searching HN for "${essay.title}":`, error.message);
-    return [];
-  }
+        match_confidence: match.confidence,
+        match_reason: match.reason,
+      };
+    })
+    // Remove duplicates based on HN item ID
+    .filter(
+      (post, index, self) => index === self.findIndex((p) => p.id === post.id)
+    )
+    // Sort by points descending
+    .sort((a, b) => b.points - a.points);
+
+  return {
+    ...partitionByConfidence(scoredPosts, minConfidence),
+    search_stats: searchStats,
+    errors,
+  };
 }
 
 /**
  * Get additional details for a Hacker News item using the official API
  * @param {string} itemId - HN item ID
+ * @param {string} itemApiUrl - HN item API base URL (e.g. a local stand-in for tests)
  * @returns {Promise<Object|null>} Item details or null if not found
  */
-export async function getHackerNewsItem(itemId) {
+export async function getHackerNewsItem(itemId, itemApiUrl = HN_ITEM_API_URL) {
   try {
-    const response = await axios.get(
-      `https://hacker-news.firebaseio.com/v0/item/${itemId}.json`
-    );
+    const response = await cachedGet(`${itemApiUrl}/${itemId}.json`);
     return response.data;
   } catch (error) {
     console.warn(`Failed to get HN item ${itemId}:`, error.message);
@@ -101,9 +295,10 @@ export async function getHackerNewsItem(itemId) {
 /**
  * Search all essays on Hacker News
  * @param {Array} essays - Array of essay objects
- * @returns {Promise<Object>} Results mapped by essay
+ * @param {Object} options - Search options (see searchHackerNewsForEssay)
+ * @returns {Promise<Object>} Results mapped by essay key
  */
-export async function searchAllEssaysOnHN(essays) {
+export async function searchAllEssaysOnHN(essays, options = {}) {
   console.log(`Searching Hacker News for ${essays.length} essays...`);
 
   const results = {};
@@ -112,28 +307,40 @@ export async function searchAllEssaysOnHN(essays) {
     const essay = essays[i];
     console.log(`[${i + 1}/${essays.length}] Searching for: ${essay.title}`);
 
-    const posts = await searchHackerNewsForEssay(essay);
+    let searched;
+    try {
+      searched = await searchHackerNewsForEssay(essay, options);
+    } catch (error) {
+      console.error(`  Search failed: ${error.message}`);
+      searched = {
+        posts: [],
+        search_status: "failed",
+        errors: error.errors || [describeError(error)],
+      };
+    }
+    const { posts, errors, ...details } = searched;
 
-    results[essay.title] = {
+    results[essayKey(essay)] = {
       essay: essay,
       hn_posts: posts,
+      search_status: errors.length > 0 ? "partial" : "ok",
+      ...details,
+      search_errors: errors,
       total_posts: posts.length,
       max_points:
         posts.length > 0 ? Math.max(...posts.map((p) => p.points)) : 0,
+      first_hn_post_at: getFirstHnPostDate(posts),
     };
 
     if (posts.length > 0) {
       console.log(
         `  Found ${posts.length} posts, highest: ${
-          results[essay.title].max_points
+          results[essayKey(essay)].max_points
         } points`
       );
     } else {
       console.log(`  No posts found`);
     }
-
-    // Rate limiting - be respectful to the API
-    await new Promise((resolve) => setTimeout(resolve, 200));
   }
 
   return results;
@@ -145,14 +352,18 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     title: "How to Do Great Work",
     url: "https://www.paulgraham.com/greatwork.html",
     slug: "greatwork",
+    domain: "paulgraham.com",
   };
 
   searchHackerNewsForEssay(testEssay)
-    .then((posts) => {
+    .then(({ posts, borderline_posts }) => {
       console.log(`Found ${posts.length} posts for "${testEssay.title}"`);
       posts.slice(0, 3).forEach((post) => {
-        console.log(`- ${post.points} points: ${post.title}`);
+        console.log(
+          `- ${post.points} points: ${post.title} (confidence ${post.match_confidence})`
+        );
       });
+      console.log(`${borderline_posts.length} borderline matches`);
     })
     .catch(console.error);
 }
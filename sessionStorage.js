@@ -0,0 +1,414 @@
+import fs from "fs/promises";
+import path from "path";
+import { essayKey, migrateSessionState } from "./essayKeys.js";
+
+/**
+ * Storage backends for ProgressTracker sessions. Session files live in the
+ * sessions directory. Both backends keep a snapshot of the session in
+ * progress-<id>.json and its results in results-<id>.json, so either backend
+ * can resume the other's sessions (and sessions saved before backends existed).
+ *
+ * - json: rewrites both files after every essay. Simple, and the files are
+ *   always complete, but the cost grows with the square of the run.
+ * - journal: appends one JSONL record per essay to progress-<id>.jsonl and
+ *   only writes snapshots at checkpoints (start, requeue, completion). Loading
+ *   replays the journal over the snapshot.
+ *
+ * @typedef {Object} SessionStorage
+ * @property {string} name - Backend name
+ * @property {string} progressFile - Snapshot of the session state
+ * @property {string} resultsFile - Snapshot of the results
+ * @property {function(): Promise<Object>} load - Read the session state;
+ *   rejects if the session doesn't exist
+ * @property {function(Object): Promise} save - Write a snapshot of the state
+ * @property {function(string, Object, Object): Promise} append - Record one
+ *   processed essay: (essay key, result, state)
+ * @property {function(Object): Promise} compact - Write a final snapshot and
+ *   drop anything it makes redundant
+ */
+
+export const DEFAULT_STORAGE = "journal";
+
+export const SESSIONS_DIR = "sessions";
+
+// Metadata of every session (status, times, config and progress counts) is
+// kept in index.json in the sessions directory
+const INDEX_VERSION = 1;
+
+const storageConfig = {
+  dir: SESSIONS_DIR,
+};
+
+// Index updates run one at a time, so concurrent updates don't drop fields
+let indexQueue = Promise.resolve();
+
+/**
+ * Configure where sessions are stored
+ * @param {Object} options - Storage options
+ * @param {string} options.dir - Sessions directory (default: sessions)
+ */
+export function configureSessionStorage(options = {}) {
+  if (options.dir) {
+    storageConfig.dir = options.dir;
+  }
+}
+
+/**
+ * Get the sessions directory
+ * @returns {string} Directory holding session files and the index
+ */
+export function getSessionsDir() {
+  return storageConfig.dir;
+}
+
+/**
+ * Path of the sessions index
+ * @returns {string} index.json in the sessions directory
+ */
+function indexFile() {
+  return `${storageConfig.dir}/index.json`;
+}
+
+/**
+ * Paths of a session's files
+ * @param {string} sessionId - Session ID
+ * @param {string} dir - Directory holding the files (default: the sessions directory)
+ * @returns {Object} { progressFile, resultsFile, journalFile }
+ */
+export function sessionFiles(sessionId, dir = storageConfig.dir) {
+  return {
+    progressFile: `${dir}/progress-${sessionId}.json`,
+    resultsFile: `${dir}/results-${sessionId}.json`,
+    journalFile: `${dir}/progress-${sessionId}.jsonl`,
+  };
+}
+
+/**
+ * Write a file atomically: write a temporary file next to it, then rename it
+ * over the target, so an interrupted write never leaves a truncated file
+ * @param {string} filePath - File to write
+ * @param {string} data - File contents
+ */
+async function writeFileAtomic(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, data);
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Write the progress and results snapshots
+ * @param {SessionStorage} storage - Storage the files belong to
+ * @param {Object} state - Session state
+ */
+async function writeSnapshot(storage, state) {
+  await writeFileAtomic(storage.progressFile, JSON.stringify(state, null, 2));
+  await writeFileAtomic(
+    storage.resultsFile,
+    JSON.stringify(state.results, null, 2)
+  );
+}
+
+/**
+ * Read the progress snapshot, migrating sessions keyed by essay title
+ * @param {SessionStorage} storage - Storage to read
+ * @returns {Promise<Object>} Session state
+ */
+async function readSnapshot(storage) {
+  const state = JSON.parse(await fs.readFile(storage.progressFile, "utf-8"));
+  if (migrateSessionState(state)) {
+    console.log(
+      `🔑 Migrated ${storage.progressFile} from essay titles to essay keys`
+    );
+  }
+  return state;
+}
+
+/**
+ * Rewrite both snapshot files after every essay
+ * @param {string} sessionId - Session ID
+ * @returns {SessionStorage} Storage
+ */
+export function createJsonStorage(sessionId) {
+  const { progressFile, resultsFile } = sessionFiles(sessionId);
+  const storage = {
+    name: "json",
+    progressFile,
+    resultsFile,
+
+    load() {
+      return readSnapshot(storage);
+    },
+
+    save(state) {
+      return writeSnapshot(storage, state);
+    },
+
+    append(key, result, state) {
+      return writeSnapshot(storage, state);
+    },
+
+    compact(state) {
+      return writeSnapshot(storage, state);
+    },
+  };
+  return storage;
+}
+
+/**
+ * Append a JSONL record per essay and write snapshots only at checkpoints
+ * @param {string} sessionId - Session ID
+ * @returns {SessionStorage} Storage
+ */
+export function createJournalStorage(sessionId) {
+  const storage = {
+    name: "journal",
+    ...sessionFiles(sessionId),
+
+    async load() {
+      const state = await readSnapshot(storage);
+
+      let journal;
+      try {
+        journal = await fs.readFile(storage.journalFile, "utf-8");
+      } catch (error) {
+        if (error.code === "ENOENT") return state; // Nothing since the snapshot
+        throw error;
+      }
+
+      const processed = new Set(state.processedEssays);
+      let replayed = 0;
+      for (const line of journal.split("\n")) {
+        if (!line.trim()) continue;
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          // A crash mid-append leaves a truncated last line; that essay just
+          // gets searched again
+          console.warn(
+            `⚠️ Skipping unreadable record in ${storage.journalFile}`
+          );
+          continue;
+        }
+
+        // A crash between a snapshot and truncating the journal replays
+        // records the snapshot already has, so replay must be idempotent.
+        // Records from before essay keys only have the title.
+        const key = record.key || essayKey(record.result.essay);
+        if (!processed.has(key)) {
+          processed.add(key);
+          state.processedEssays.push(key);
+          state.currentIndex++;
+        }
+        state.results[key] = record.result;
+        replayed++;
+      }
+
+      // End a truncated last line, so the next record starts on its own line
+      if (journal && !journal.endsWith("\n")) {
+        await fs.appendFile(storage.journalFile, "\n");
+      }
+
+      if (replayed > 0) {
+        console.log(
+          `📜 Replayed ${replayed} essays from ${storage.journalFile}`
+        );
+      }
+      return state;
+    },
+
+    async save(state) {
+      // The snapshot includes everything journaled so far
+      await writeSnapshot(storage, state);
+      await fs.writeFile(storage.journalFile, "");
+    },
+
+    append(key, result) {
+      return fs.appendFile(
+        storage.journalFile,
+        `${JSON.stringify({ key, result })}\n`
+      );
+    },
+
+    async compact(state) {
+      await writeSnapshot(storage, state);
+      await fs.rm(storage.journalFile, { force: true });
+    },
+  };
+  return storage;
+}
+
+/**
+ * Built-in storage backends, selectable by name
+ */
+export const STORAGE_BACKENDS = {
+  json: createJsonStorage,
+  journal: createJournalStorage,
+};
+
+/**
+ * Create a storage backend by name
+ * @param {string} name - Backend name (json or journal)
+ * @param {string} sessionId - Session ID
+ * @returns {SessionStorage} Storage
+ */
+export function createSessionStorage(name, sessionId) {
+  const create = STORAGE_BACKENDS[name];
+  if (!create) {
+    throw new Error(
+      `Unknown session storage "${name}". Available backends: ${Object.keys(
+        STORAGE_BACKENDS
+      ).join(", ")}`
+    );
+  }
+  return create(sessionId);
+}
+
+/**
+ * Load the sessions index
+ * @returns {Promise<Object>} { version, sessions } with sessions keyed by ID
+ */
+export async function loadSessionIndex() {
+  try {
+    const index = JSON.parse(await fs.readFile(indexFile(), "utf-8"));
+    if (index.version !== INDEX_VERSION) {
+      throw new Error(`Unsupported sessions index version ${index.version}`);
+    }
+    return index;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw error;
+    }
+    return { version: INDEX_VERSION, sessions: {} };
+  }
+}
+
+/**
+ * Change the sessions index, one change at a time
+ * @param {function(Object): void} change - Modifies the index in place
+ * @returns {Promise} Resolves once the index is saved
+ */
+function changeSessionIndex(change) {
+  indexQueue = indexQueue
+    .catch(() => {})
+    .then(async () => {
+      const index = await loadSessionIndex();
+      change(index);
+      await writeFileAtomic(indexFile(), JSON.stringify(index, null, 2));
+    });
+  return indexQueue;
+}
+
+/**
+ * Create or update a session's index entry
+ * @param {string} sessionId - Session ID
+ * @param {Object} fields - Fields to set (status, started_at, ended_at,
+ *   source, storage, config, processed, total, failed, ...); updated_at
+ *   defaults to now
+ */
+export async function updateSessionIndex(sessionId, fields) {
+  await changeSessionIndex((index) => {
+    index.sessions[sessionId] = {
+      ...index.sessions[sessionId],
+      session_id: sessionId,
+      updated_at: new Date().toISOString(),
+      ...fields,
+    };
+  });
+}
+
+/**
+ * Delete a session's files and index entry
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array<string>>} Files that were deleted
+ */
+export async function deleteSession(sessionId) {
+  const deleted = [];
+  for (const file of Object.values(sessionFiles(sessionId))) {
+    try {
+      await fs.unlink(file);
+      deleted.push(file);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+  await changeSessionIndex((index) => {
+    delete index.sessions[sessionId];
+  });
+  return deleted;
+}
+
+/**
+ * Move session files left by older versions next to the sessions directory
+ * (in the working directory, by default) into it, and add them to the index.
+ * Results files of completed sessions, which used to be left behind on their
+ * own, are indexed as completed sessions.
+ * @returns {Promise<number>} Number of files moved
+ */
+export async function migrateLegacySessions() {
+  const legacyDir = path.dirname(storageConfig.dir);
+  let files;
+  try {
+    files = (await fs.readdir(legacyDir)).filter((file) =>
+      /^(progress|results)-.+\.jsonl?$/.test(file)
+    );
+  } catch (error) {
+    if (error.code === "ENOENT") return 0; // Output directory not created yet
+    throw error;
+  }
+  if (files.length === 0) return 0;
+
+  await fs.mkdir(storageConfig.dir, { recursive: true });
+  const ids = new Set();
+  for (const file of files) {
+    await fs.rename(`${legacyDir}/${file}`, `${storageConfig.dir}/${file}`);
+    ids.add(file.replace(/^(progress|results)-/, "").replace(/\.jsonl?$/, ""));
+  }
+
+  const index = await loadSessionIndex();
+  for (const sessionId of ids) {
+    if (index.sessions[sessionId]) continue;
+
+    const { progressFile, resultsFile } = sessionFiles(sessionId);
+    try {
+      const state = await readSnapshot({ progressFile });
+      const { mtime } = await fs.stat(progressFile);
+      await updateSessionIndex(sessionId, {
+        status: state.completed ? "completed" : "interrupted",
+        started_at: state.startTime || null,
+        ended_at: state.endTime || null,
+        source: state.source || null,
+        storage: state.storage || "json",
+        config: state.config || null,
+        processed: state.processedEssays.length,
+        total: state.totalEssays || state.essays.length,
+        updated_at: mtime.toISOString(),
+      });
+    } catch (error) {
+      // Only the results file is left: the session completed
+      try {
+        const results = JSON.parse(await fs.readFile(resultsFile, "utf-8"));
+        const { mtime } = await fs.stat(resultsFile);
+        await updateSessionIndex(sessionId, {
+          status: "completed",
+          started_at: null,
+          ended_at: mtime.toISOString(),
+          processed: Object.keys(results).length,
+          total: Object.keys(results).length,
+          updated_at: mtime.toISOString(),
+        });
+      } catch (resultsError) {
+        console.warn(
+          `⚠️ Could not read session ${sessionId}: ${resultsError.message}`
+        );
+      }
+    }
+  }
+
+  console.log(
+    `📦 Moved ${files.length} session files from older versions into ${storageConfig.dir}/`
+  );
+  return files.length;
+}
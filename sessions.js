@@ -0,0 +1,432 @@
+import fs from "fs/promises";
+import path from "path";
+import { essayKey } from "./essayKeys.js";
+import { diffManifests, formatDifferences } from "./manifest.js";
+import { ProgressTracker } from "./progressTracker.js";
+import {
+  configureSessionStorage,
+  deleteSession,
+  getSessionsDir,
+  loadSessionIndex,
+  migrateLegacySessions,
+  SESSIONS_DIR,
+  sessionFiles,
+  updateSessionIndex,
+} from "./sessionStorage.js";
+
+const STATUS_ICONS = {
+  in_progress: "⏳",
+  interrupted: "⏸️",
+  completed: "✅",
+  merged: "🔀",
+};
+
+// Better search outcomes win when merging results for the same essay
+const STATUS_RANK = { ok: 2, partial: 1, failed: 0 };
+
+/**
+ * Sessions in the index, newest first
+ * @returns {Promise<Array>} Index entries
+ */
+export async function listSessionEntries() {
+  await migrateLegacySessions();
+  const index = await loadSessionIndex();
+  return Object.values(index.sessions).sort((a, b) =>
+    b.session_id.localeCompare(a.session_id)
+  );
+}
+
+/**
+ * Time of a session's last activity
+ * @param {Object} entry - Index entry
+ * @returns {number} Timestamp in ms
+ */
+function lastActivity(entry) {
+  return Date.parse(entry.updated_at || entry.ended_at || entry.started_at);
+}
+
+/**
+ * Print every session in the index
+ */
+async function listCommand() {
+  const entries = await listSessionEntries();
+  if (entries.length === 0) {
+    console.log("No sessions found.");
+    return;
+  }
+
+  console.log(`Found ${entries.length} session(s) in ${getSessionsDir()}/:\n`);
+  entries.forEach((entry) => {
+    console.log(
+      `${STATUS_ICONS[entry.status] || "•"} ${entry.session_id}  ${
+        entry.status
+      }  ${entry.processed}/${entry.total} essays${
+        entry.failed ? `, ${entry.failed} failed` : ""
+      }  (last active ${new Date(lastActivity(entry)).toLocaleString()})`
+    );
+  });
+  console.log(`\nDetails: node sessions.js show <sessionId>`);
+}
+
+/**
+ * Print a session's metadata, config and results summary
+ * @param {string} sessionId - Session ID
+ */
+async function showCommand(sessionId) {
+  const entries = await listSessionEntries();
+  const entry = entries.find((e) => e.session_id === sessionId);
+  if (!entry) {
+    throw new Error(`Unknown session "${sessionId}"`);
+  }
+
+  console.log(`📊 Session: ${sessionId}`);
+  console.log(`   Status: ${entry.status}`);
+  console.log(`   Started: ${entry.started_at || "unknown"}`);
+  if (entry.ended_at) console.log(`   Ended: ${entry.ended_at}`);
+  console.log(`   Last active: ${entry.updated_at}`);
+  console.log(`   Source: ${entry.source || "paulgraham"}`);
+  if (entry.storage) console.log(`   Storage: ${entry.storage}`);
+  if (entry.merged_from) {
+    console.log(`   Merged from: ${entry.merged_from.join(", ")}`);
+  }
+  console.log(
+    `   Progress: ${entry.processed}/${entry.total} essays${
+      entry.failed ? ` (${entry.failed} failed or partial searches)` : ""
+    }`
+  );
+  if (entry.config) {
+    console.log(`   Config:`);
+    Object.entries(entry.config).forEach(([key, value]) => {
+      console.log(`     ${key}: ${JSON.stringify(value)}`);
+    });
+  }
+
+  const { progressFile, resultsFile, journalFile } = sessionFiles(sessionId);
+  let results = {};
+  try {
+    results = JSON.parse(await fs.readFile(resultsFile, "utf-8"));
+  } catch (error) {
+    // No results saved yet
+  }
+  const withPosts = Object.values(results).filter((r) => r.total_posts > 0);
+  console.log(
+    `   Found HN posts: ${withPosts.reduce(
+      (sum, r) => sum + r.total_posts,
+      0
+    )} total, ${withPosts.length} essays with posts`
+  );
+  if (withPosts.length > 0) {
+    const top = withPosts.reduce((max, r) =>
+      r.max_points > max.max_points ? r : max
+    );
+    console.log(
+      `   Top essay: "${top.essay.title}" (${top.max_points} points)`
+    );
+  }
+
+  const files = [];
+  for (const file of [progressFile, journalFile, resultsFile]) {
+    try {
+      const { size } = await fs.stat(file);
+      files.push(`${file} (${(size / 1024).toFixed(1)} KB)`);
+    } catch (error) {
+      // File not there
+    }
+  }
+  console.log(`   Files: ${files.join(", ") || "none"}`);
+
+  if (entry.status !== "completed" || entry.failed) {
+    console.log(
+      `\n▶️ Resume with: node index.js --resume ${sessionId}${
+        entry.status === "completed" ? " --retry-failed" : ""
+      }`
+    );
+  }
+}
+
+/**
+ * Delete a session's files and index entry
+ * @param {string} sessionId - Session ID
+ */
+async function deleteCommand(sessionId) {
+  const entries = await listSessionEntries();
+  if (!entries.some((e) => e.session_id === sessionId)) {
+    throw new Error(`Unknown session "${sessionId}"`);
+  }
+  const deleted = await deleteSession(sessionId);
+  console.log(`🗑️ Deleted session ${sessionId} (${deleted.length} files)`);
+}
+
+/**
+ * Delete sessions with no activity for a number of days
+ * @param {number} days - Age threshold in days
+ * @param {boolean} dryRun - Only list what would be deleted
+ */
+async function pruneCommand(days, dryRun) {
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const old = (await listSessionEntries()).filter(
+    (entry) => lastActivity(entry) < cutoff
+  );
+
+  if (old.length === 0) {
+    console.log(`No sessions older than ${days} days.`);
+    return;
+  }
+
+  for (const entry of old) {
+    if (dryRun) {
+      console.log(`Would delete ${entry.session_id} (${entry.status})`);
+    } else {
+      await deleteSession(entry.session_id);
+      console.log(`🗑️ Deleted ${entry.session_id} (${entry.status})`);
+    }
+  }
+  console.log(
+    `\n${dryRun ? "Would prune" : "Pruned"} ${
+      old.length
+    } sessions older than ${days} days`
+  );
+}
+
+/**
+ * Pick the better of two results for the same essay: a more complete
+ * search wins, then the more recent one
+ * @param {Object} a - Essay result
+ * @param {Object} b - Essay result
+ * @returns {Object} Result to keep
+ */
+function betterResult(a, b) {
+  const rankA = STATUS_RANK[a.search_status || "ok"];
+  const rankB = STATUS_RANK[b.search_status || "ok"];
+  if (rankA !== rankB) return rankA > rankB ? a : b;
+  return Date.parse(b.processed_at || 0) > Date.parse(a.processed_at || 0)
+    ? b
+    : a;
+}
+
+/**
+ * Check whether a session has files or an entry in the sessions index
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} True if the session exists
+ */
+async function sessionExists(sessionId) {
+  const index = await loadSessionIndex();
+  if (index.sessions[sessionId]) return true;
+
+  for (const file of Object.values(sessionFiles(sessionId))) {
+    try {
+      await fs.access(file);
+      return true;
+    } catch (error) {
+      // Not this one
+    }
+  }
+  return false;
+}
+
+/**
+ * Merge the results of two sessions (e.g. two partial runs over the same
+ * essays) into a new session, which can be resumed to search whatever
+ * neither of them got to
+ * @param {string} firstId - Session ID
+ * @param {string} secondId - Session ID
+ * @param {string} intoId - ID of the merged session (default: a new one)
+ * @param {boolean} force - Replace the session intoId names if it exists
+ * @returns {Promise<ProgressTracker>} Merged session
+ * @throws {Error} If intoId names an existing session and force is not set
+ */
+export async function mergeSessions(
+  firstId,
+  secondId,
+  intoId = null,
+  force = false
+) {
+  const replace = Boolean(intoId) && (await sessionExists(intoId));
+  if (replace && !force) {
+    throw new Error(
+      `Session "${intoId}" already exists; pass --force to replace it with the merged session`
+    );
+  }
+
+  const sessions = [];
+  for (const sessionId of [firstId, secondId]) {
+    const { progressFile } = sessionFiles(sessionId);
+    try {
+      await fs.access(progressFile);
+    } catch (error) {
+      throw new Error(
+        `Session "${sessionId}" has no progress file to merge (${progressFile})`
+      );
+    }
+    sessions.push(await ProgressTracker.loadSession(sessionId));
+  }
+
+  const [first, second] = sessions;
+  const firstSource = first.state.source || "paulgraham";
+  const secondSource = second.state.source || "paulgraham";
+  if (firstSource !== secondSource) {
+    throw new Error(
+      `Sessions searched different essay sources (${firstSource}, ${secondSource})`
+    );
+  }
+
+  if (first.state.manifest && second.state.manifest) {
+    const conflicts = diffManifests(
+      first.state.manifest,
+      second.state.manifest
+    ).filter((d) => d.affects_results);
+    if (conflicts.length > 0) {
+      console.warn(
+        `⚠️ The sessions were run with different settings; the merged session keeps ${firstId}'s:`
+      );
+      formatDifferences(conflicts).forEach((line) =>
+        console.warn(`   ${line}`)
+      );
+    }
+  }
+
+  const essays = new Map();
+  const results = {};
+  for (const session of sessions) {
+    session.state.essays.forEach((essay) => {
+      if (!essays.has(essayKey(essay))) essays.set(essayKey(essay), essay);
+    });
+    for (const key of session.state.processedEssays) {
+      const result = session.state.results[key];
+      if (!result) continue;
+      results[key] = results[key] ? betterResult(results[key], result) : result;
+    }
+  }
+
+  if (replace) {
+    // Its journal would otherwise be replayed into the merged session
+    await deleteSession(intoId);
+  }
+  const merged = new ProgressTracker(intoId, first.state.storage);
+  Object.assign(merged.state, {
+    startTime: [first, second]
+      .map((session) => session.state.startTime)
+      .sort()[0],
+    source: first.state.source,
+    config: first.state.config,
+    manifest: first.state.manifest,
+    essays: [...essays.values()],
+    totalEssays: essays.size,
+    results,
+    processedEssays: [...essays.keys()].filter((key) => results[key]),
+  });
+  merged.state.currentIndex = merged.state.processedEssays.length;
+
+  await merged.saveProgress();
+  await updateSessionIndex(merged.sessionId, {
+    status: "merged",
+    merged_from: [firstId, secondId],
+  });
+  return merged;
+}
+
+/**
+ * Merge two sessions and print how to continue
+ * @param {string} firstId - Session ID
+ * @param {string} secondId - Session ID
+ * @param {string} intoId - ID of the merged session
+ * @param {boolean} force - Replace an existing session named intoId
+ */
+async function mergeCommand(firstId, secondId, intoId, force) {
+  const merged = await mergeSessions(firstId, secondId, intoId, force);
+  const stats = merged.getStats();
+  console.log(
+    `🔀 Merged ${firstId} and ${secondId} into ${merged.sessionId}: ${stats.processed}/${stats.total} essays processed`
+  );
+  console.log(
+    `\n▶️ ${
+      stats.remaining > 0
+        ? `Search the remaining ${stats.remaining} essays`
+        : "Write the report"
+    } with: node index.js --resume ${merged.sessionId}`
+  );
+}
+
+// Command line interface
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const positional = [];
+  const options = { olderThan: 30, dryRun: false, into: null, force: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === "--older-than") {
+      options.olderThan = parseFloat(args[++i]);
+    } else if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--into") {
+      options.into = args[++i];
+    } else if (arg === "--force") {
+      options.force = true;
+    } else if (arg === "--out-dir" || arg === "-o") {
+      configureSessionStorage({ dir: path.join(args[++i], SESSIONS_DIR) });
+    } else if (arg === "--help" || arg === "-h") {
+      console.log(`
+Session Management
+
+Usage:
+  node sessions.js [command] [options]
+
+Commands:
+  list                        List sessions with status and progress (default)
+  show <sessionId>            Show a session's metadata, config and results
+  delete <sessionId>          Delete a session's files
+  prune                       Delete sessions with no activity for a while
+  merge <sessionA> <sessionB> Merge the results of two sessions into a new one
+
+Options:
+  --older-than <days>   With prune: age threshold (default: 30)
+  --dry-run             With prune: only list what would be deleted
+  --into <sessionId>    With merge: ID of the merged session (default: new)
+  --force               With merge: replace the --into session if it exists
+  --out-dir, -o <dir>   Output directory the scraper was run with (default: .)
+  --help, -h            Show this help
+
+Examples:
+  node sessions.js
+  node sessions.js show 2024-01-15T10-30-00-000Z
+  node sessions.js prune --older-than 14 --dry-run
+  node sessions.js merge 2024-01-15T10-30-00-000Z 2024-01-16T09-00-00-000Z
+      `);
+      process.exit(0);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const [command = "list", ...rest] = positional;
+  const commands = {
+    list: () => listCommand(),
+    show: () => showCommand(rest[0]),
+    delete: () => deleteCommand(rest[0]),
+    prune: () => pruneCommand(options.olderThan, options.dryRun),
+    merge: () => mergeCommand(rest[0], rest[1], options.into, options.force),
+  };
+  const needed = { show: 1, delete: 1, merge: 2 };
+
+  if (!commands[command]) {
+    console.error(
+      `Unknown command "${command}". Use one of: ${Object.keys(commands).join(
+        ", "
+      )}`
+    );
+    process.exit(1);
+  }
+  if (rest.length < (needed[command] || 0)) {
+    console.error(
+      `"${command}" needs ${needed[command]} session ID(s); see --help`
+    );
+    process.exit(1);
+  }
+
+  commands[command]().catch((error) => {
+    console.error("❌ Error:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,70 @@
+import { setMaxListeners } from "events";
+
+/**
+ * Ctrl-C handling for long runs. The first SIGINT or SIGTERM fires
+ * stopSignal: no new work starts, work in progress finishes. The second fires
+ * cancelSignal to abort work in progress. The third exits immediately.
+ */
+
+// Conventional exit codes for processes ended by a signal (128 + number)
+const EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+
+/**
+ * Install SIGINT and SIGTERM handlers
+ * @param {string} activity - What is in progress, for the messages (e.g.
+ *   "searches")
+ * @returns {Object} { stopSignal, cancelSignal, signalName(), exitCode(), uninstall() }
+ */
+export function installShutdownHandler(activity = "searches") {
+  const stop = new AbortController();
+  const cancel = new AbortController();
+  // Every pending request listens for cancellation
+  setMaxListeners(0, cancel.signal);
+  let received = null;
+  let count = 0;
+
+  const onSignal = (signal) => {
+    received = received || signal;
+    count++;
+
+    if (count === 1) {
+      console.log(
+        `\n🛑 ${signal} received: finishing the ${activity} in progress and saving the session (press Ctrl-C again to cancel them)`
+      );
+      stop.abort();
+    } else if (count === 2) {
+      console.log(`🛑 Cancelling the ${activity} in progress...`);
+      cancel.abort();
+    } else {
+      console.log("🛑 Exiting immediately");
+      process.exit(EXIT_CODES[received]);
+    }
+  };
+
+  process.on("SIGINT", onSignal);
+  process.on("SIGTERM", onSignal);
+
+  return {
+    stopSignal: stop.signal,
+    cancelSignal: cancel.signal,
+
+    /**
+     * @returns {string|null} First signal received, or null
+     */
+    signalName() {
+      return received;
+    },
+
+    /**
+     * @returns {number} Exit code for the signal received
+     */
+    exitCode() {
+      return EXIT_CODES[received] || 1;
+    },
+
+    uninstall() {
+      process.off("SIGINT", onSignal);
+      process.off("SIGTERM", onSignal);
+    },
+  };
+}
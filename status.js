@@ -48,9 +48,11 @@ async function showStatus() {
         }
       }
 
-      console.log(
-        `   Session files: progress-${sessionId}.json, results-${sessionId}.json`
-      );
+      const files = [tracker.progressFile, tracker.resultsFile];
+      if (tracker.storage.journalFile) {
+        files.push(tracker.storage.journalFile);
+      }
+      console.log(`   Session files: ${files.join(", ")}`);
       console.log();
     } catch (error) {
       console.log(`❌ Session: ${sessionId} (error loading: ${error.message})`);
@@ -0,0 +1,230 @@
+import { paulGrahamSource } from "./essaySources.js";
+import { cachedGet } from "./httpCache.js";
+import { ALGOLIA_BASE_URL, getHackerNewsItem } from "./searchHackerNews.js";
+
+// Stop walking the Firebase API after this many comments per thread
+const FIREBASE_COMMENT_LIMIT = 500;
+
+/**
+ * Fetch a comment tree from the Firebase API, one item at a time.
+ * Used when the Algolia items endpoint fails.
+ * @param {string} itemId - HN item ID
+ * @param {Object} budget - Shared { remaining } counter limiting requests
+ * @param {string} itemApiUrl - HN item API base URL
+ * @returns {Promise<Object|null>} Tree in the Algolia items shape ({ author, children })
+ */
+async function fetchFirebaseTree(itemId, budget, itemApiUrl) {
+  if (budget.remaining <= 0) return null;
+  budget.remaining--;
+
+  const item = await getHackerNewsItem(itemId, itemApiUrl);
+  if (!item) return null;
+
+  const children = [];
+  for (const kid of item.kids || []) {
+    const child = await fetchFirebaseTree(kid, budget, itemApiUrl);
+    if (child) children.push(child);
+  }
+
+  return {
+    id: item.id,
+    type: item.type,
+    author: item.deleted || item.dead ? null : item.by,
+    children,
+  };
+}
+
+/**
+ * Fetch the full comment tree of an HN story
+ * @param {string} itemId - HN item ID of the story
+ * @param {Object} endpoints - API base URLs
+ * @param {string} endpoints.baseUrl - Algolia API base URL
+ * @param {string} endpoints.itemApiUrl - HN item API base URL, for the fallback
+ * @returns {Promise<Object>} { tree, source } where source is "algolia" or "firebase"
+ */
+export async function fetchThread(itemId, endpoints = {}) {
+  const { baseUrl = ALGOLIA_BASE_URL, itemApiUrl } = endpoints;
+  try {
+    const response = await cachedGet(`${baseUrl}/items/${itemId}`);
+    return { tree: response.data, source: "algolia" };
+  } catch (error) {
+    console.warn(
+      `Algolia items lookup failed for ${itemId}, falling back to the HN API:`,
+      error.message
+    );
+    const tree = await fetchFirebaseTree(
+      itemId,
+      { remaining: FIREBASE_COMMENT_LIMIT + 1 },
+      itemApiUrl
+    );
+    if (!tree) {
+      throw new Error(`Could not fetch thread ${itemId}`);
+    }
+    return { tree, source: "firebase" };
+  }
+}
+
+/**
+ * Compute statistics for a comment tree
+ * @param {Object} tree - Story item with nested children (Algolia items shape)
+ * @param {string} authorUsername - HN username of the essay's author
+ * @returns {Object} Thread analytics
+ */
+export function analyzeThread(
+  tree,
+  authorUsername = paulGrahamSource.hnUsername
+) {
+  const commenters = new Map();
+  let totalComments = 0;
+  let maxDepth = 0;
+  let authorComments = 0;
+
+  const walk = (node, depth) => {
+    for (const child of node.children || []) {
+      // Deleted comments keep their place in the tree but have no author
+      if (child.author) {
+        totalComments++;
+        maxDepth = Math.max(maxDepth, depth);
+        commenters.set(child.author, (commenters.get(child.author) || 0) + 1);
+        if (authorUsername && child.author === authorUsername) {
+          authorComments++;
+        }
+      }
+      walk(child, depth + 1);
+    }
+  };
+  walk(tree, 1);
+
+  const topCommenters = [...commenters.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 5)
+    .map(([author, comments]) => ({ author, comments }));
+
+  return {
+    total_comments: totalComments,
+    top_level_comments: (tree.children || []).filter((child) => child.author)
+      .length,
+    max_depth: maxDepth,
+    unique_commenters: commenters.size,
+    top_commenters: topCommenters,
+    author_username: authorUsername || null,
+    author_commented: authorComments > 0,
+    author_comment_count: authorComments,
+  };
+}
+
+/**
+ * Fetch and analyze the comment threads of each essay's top posts, storing
+ * the analytics on each post as `thread`. Posts that already have thread
+ * analytics are skipped, so an interrupted phase can be re-run.
+ * @param {Object} results - Essay results keyed as in ProgressTracker
+ * @param {Object} options - Phase options
+ * @param {number} options.topPosts - Number of posts per essay to analyze
+ * @param {string} options.authorUsername - HN username of the essays' author
+ * @param {string} options.baseUrl - Algolia API base URL
+ * @param {string} options.itemApiUrl - HN item API base URL
+ * @param {AbortSignal} options.signal - Stops fetching further threads
+ * @returns {Promise<Object>} { analyzed, failed } counts
+ */
+export async function analyzeThreadsForResults(results, options = {}) {
+  const {
+    topPosts = 3,
+    authorUsername = paulGrahamSource.hnUsername,
+    baseUrl,
+    itemApiUrl,
+    signal = null,
+  } = options;
+
+  const posts = Object.values(results).flatMap((result) =>
+    [...result.hn_posts]
+      .sort((a, b) => b.points - a.points)
+      .slice(0, topPosts)
+      .filter((post) => post.num_comments > 0 && !post.thread)
+  );
+
+  console.log(`🧵 Fetching ${posts.length} comment threads...`);
+
+  let analyzed = 0;
+  let failed = 0;
+  for (const post of posts) {
+    if (signal && signal.aborted) break;
+    try {
+      const { tree, source } = await fetchThread(post.id, {
+        baseUrl,
+        itemApiUrl,
+      });
+      post.thread = {
+        ...analyzeThread(tree, authorUsername),
+        source,
+        fetched_at: new Date().toISOString(),
+      };
+      analyzed++;
+    } catch (error) {
+      // Cancelled on shutdown: the thread is fetched again next time
+      if (error.code === "ERR_CANCELED") break;
+      failed++;
+      console.warn(`Failed to analyze thread ${post.id}:`, error.message);
+    }
+
+    if ((analyzed + failed) % 25 === 0) {
+      console.log(`  [${analyzed + failed}/${posts.length}] threads fetched`);
+    }
+  }
+
+  console.log(
+    `✅ Analyzed ${analyzed} threads${failed > 0 ? `, ${failed} failed` : ""}`
+  );
+  return { analyzed, failed };
+}
+
+/**
+ * Summarize thread analytics across all posts for the report
+ * @param {Array} posts - All HN posts (with essay_title), some with `thread`
+ * @returns {Object|null} Thread analytics section, or null if no threads were analyzed
+ */
+export function summarizeThreads(posts) {
+  const withThreads = posts.filter((post) => post.thread);
+  if (withThreads.length === 0) return null;
+
+  const commenters = new Map();
+  for (const post of withThreads) {
+    for (const { author, comments } of post.thread.top_commenters) {
+      commenters.set(author, (commenters.get(author) || 0) + comments);
+    }
+  }
+
+  const brief = (post) => ({
+    id: post.id,
+    title: post.title,
+    hn_url: post.hn_url,
+    essay_title: post.essay_title,
+    max_depth: post.thread.max_depth,
+    total_comments: post.thread.total_comments,
+  });
+
+  return {
+    threads_analyzed: withThreads.length,
+    comments_analyzed: withThreads.reduce(
+      (sum, post) => sum + post.thread.total_comments,
+      0
+    ),
+    avg_top_level_comments: (
+      withThreads.reduce(
+        (sum, post) => sum + post.thread.top_level_comments,
+        0
+      ) / withThreads.length
+    ).toFixed(1),
+    deepest_threads: [...withThreads]
+      .sort((a, b) => b.thread.max_depth - a.thread.max_depth)
+      .slice(0, 5)
+      .map(brief),
+    author_commented_on: withThreads
+      .filter((post) => post.thread.author_commented)
+      .map(brief),
+    // Only counts commenters that were in a thread's top 5
+    frequent_commenters: [...commenters.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 10)
+      .map(([author, comments]) => ({ author, comments })),
+  };
+}